@@ -0,0 +1,1037 @@
+// ============================================
+// ENHANCED CONTEXTUAL AI ENGINE
+// ============================================
+//
+// Suggestions are scored by a list of pluggable scorers. Additive scorers
+// build up the base score (weight x value); multiplier scorers then boost or
+// damp it (a weight of 0 disables the boost, 1 applies it as-is). Deployments
+// can reweight, remove or add signals without touching the engine:
+//
+//   const ai = new EnhancedContextualAI({ weights: { semantic: 0, rules: 0.5 } });
+//   ai.registerScorer(new MyBrandScorer());
+//
+// Merchandising boosts are data, not scorers: setRules() swaps in a rules
+// file and each suggestion's breakdown.rules.audit lists the rules that fired.
+//
+// analyzeTurn() adds conversation on top: follow-ups like "something cheaper",
+// "in black" or "not that one" refine the topic and filter held in a
+// DialogueState instead of starting a new topic.
+//
+// Matching runs against a CatalogIndex and an offline SemanticIndex, both
+// built once per catalog. Additive scorers report which products they can
+// possibly score (candidates()), so only those are scored instead of the
+// whole catalog.
+//
+// For other languages, index a catalog localized with i18n.js and set the
+// engine's locale so that language's filler, negation and budget words are
+// understood. Follow-up cues ("cheaper", "another one") are English only.
+
+import { CatalogIndex, levenshtein, maxEditDistance } from './catalog-index.js';
+import { SemanticIndex } from './semantic-index.js';
+import { DEFAULT_RULES, compileRules, ruleMatches, formatRuleLabel } from './business-rules.js';
+import { salePrice } from './pricing.js';
+
+export { levenshtein };
+
+// ============================================
+// SCORERS
+// ============================================
+
+export class IntentScorer {
+    constructor(name, { type = 'additive', weight = 1 } = {}) {
+        this.name = name;
+        this.type = type; // 'additive' | 'multiplier'
+        this.weight = weight;
+    }
+
+    // Returns { value, reason?, reasons?, matches? }. Additive scorers return
+    // a score contribution, multiplier scorers a factor (1 = no effect).
+    // Use `reasons` when one signal has several things to say.
+    score(context) {
+        throw new Error(`Scorer "${this.name}" must implement score()`);
+    }
+
+    // Additive scorers may return the Set of products they could give a
+    // non-zero score for, letting the engine skip the rest. null means
+    // "can't tell", which forces a full catalog scan.
+    candidates(context) {
+        return null;
+    }
+}
+
+function unionPostings(index, field, terms) {
+    const products = new Set();
+    terms.forEach(term => {
+        (index.productsWithTerm(field, term) || []).forEach(product => products.add(product));
+    });
+    return products;
+}
+
+export class TriggerScorer extends IntentScorer {
+    constructor(options = {}) {
+        super('trigger', { type: 'additive', ...options });
+        this.pointsPerMatch = 2;
+        this.maxDistance = 2;
+    }
+
+    candidates({ index, matchedTerms }) {
+        return index ? unionPostings(index, 'trigger', matchedTerms) : null;
+    }
+
+    score({ words, product, matchedTerms }) {
+        const matched = [];
+
+        product.triggers.forEach(trigger => {
+            // The index has already resolved substring, typo and stem matches
+            if (matchedTerms ? matchedTerms.has(trigger) : words.some(word => {
+                const wordMatch = word.includes(trigger) || trigger.includes(word);
+                return wordMatch || levenshtein(word, trigger) <= maxEditDistance(word, this.maxDistance);
+            })) {
+                matched.push(trigger);
+            }
+        });
+
+        return {
+            value: matched.length * this.pointsPerMatch,
+            matches: matched.length,
+            reason: matched.length ? `Matched ${matched.map(trigger => `"${trigger}"`).join(', ')}` : ''
+        };
+    }
+}
+
+export class TokenOverlapScorer extends IntentScorer {
+    constructor(options = {}) {
+        super('tokenOverlap', { type: 'additive', ...options });
+        this.pointsPerToken = 1.5;
+    }
+
+    candidates({ index, words }) {
+        return index ? unionPostings(index, 'token', words) : null;
+    }
+
+    score({ words, product }) {
+        // Exact overlap between input words and the product's tags, name and category
+        const inputTokens = new Set(words);
+        const productTokens = new Set([
+            ...product.tags,
+            ...product.name.toLowerCase().split(' '),
+            ...product.category ? [product.category] : []
+        ]);
+
+        const intersection = [...inputTokens].filter(x => productTokens.has(x));
+        return {
+            value: intersection.length * this.pointsPerToken,
+            reason: intersection.length ? `Mentions ${intersection.join(', ')}` : ''
+        };
+    }
+}
+
+export class SemanticScorer extends IntentScorer {
+    constructor(options = {}) {
+        super('semantic', { type: 'additive', ...options });
+        this.pointsAtFullSimilarity = 10;
+        this.minSimilarity = 0.08;
+    }
+
+    candidates({ words, semantic }) {
+        return semantic ? semantic.candidates(words) : null;
+    }
+
+    score({ words, product, semantic }) {
+        // Related meaning from the offline semantic index ("exhausted" ~ coffee)
+        if (!semantic || !words.length) return { value: 0 };
+
+        const { similarity, concept } = semantic.similarity(words, product);
+        if (similarity < this.minSimilarity) return { value: 0 };
+
+        return {
+            value: similarity * this.pointsAtFullSimilarity,
+            reason: concept ? `Related to ${concept}` : ''
+        };
+    }
+}
+
+export class QueryFilterScorer extends IntentScorer {
+    constructor(options = {}) {
+        super('queryFilter', { type: 'additive', ...options });
+        this.pointsPerSelector = 3;
+    }
+
+    countSelectors(query, filter) {
+        let selectors = ['categories', 'brands'].filter(key => filter[key].length > 0).length;
+        // Colour refines another selector ("black kitchen stuff") but is never a
+        // match on its own: "a red mug" must not suggest whatever else is red
+        if (selectors && filter.colors.length) selectors++;
+        // A bare budget ("anything under $50") is a match only when nothing else was asked for
+        if (!query?.terms.length && (filter.minPrice !== undefined || filter.maxPrice !== undefined)) {
+            selectors++;
+        }
+        return selectors;
+    }
+
+    candidates({ index, query, filter }) {
+        if (!index) return null;
+        if (!this.countSelectors(query, filter)) return new Set();
+
+        const facetUnion = (facet, values) => {
+            const products = new Set();
+            values.forEach(value => (index.facet(facet, value) || []).forEach(product => products.add(product)));
+            return products;
+        };
+
+        const sets = [];
+        if (filter.categories.length) sets.push(facetUnion('category', filter.categories));
+        if (filter.brands.length) sets.push(facetUnion('brand', filter.brands));
+        if (sets.length && filter.colors.length) {
+            const hexes = index.facetValues('color').filter(hex => filter.colors.includes(colorNameOf(hex)));
+            sets.push(facetUnion('color', hexes));
+        }
+        if (!sets.length) {
+            return index.priceRange(filter.minPrice, filter.maxPrice);
+        }
+
+        // Products must satisfy every selector, so start from the smallest set
+        sets.sort((a, b) => a.size - b.size);
+        return new Set([...sets[0]].filter(product => sets.every(set => set.has(product))));
+    }
+
+    score({ query, filter }) {
+        // Products reaching scorers already satisfy the filter, so naming a
+        // category, brand or colour is itself a match ("kitchen stuff")
+        if (!filter) return { value: 0 };
+
+        const selectors = this.countSelectors(query, filter);
+
+        return {
+            value: selectors * this.pointsPerSelector,
+            reason: selectors ? `Matches "${describeFilter(filter)}"` : ''
+        };
+    }
+}
+
+export class PreferenceScorer extends IntentScorer {
+    constructor(options = {}) {
+        super('preferences', { type: 'multiplier', ...options });
+    }
+
+    score({ product, userProfile, filter }) {
+        if (!userProfile) return { value: 1 };
+
+        let factor = 1;
+        const reasons = [];
+
+        // Boost products in preferred categories
+        if (userProfile.preferences.categories.includes(product.category)) {
+            factor *= 1.3;
+            reasons.push('Matches your preferences');
+        }
+
+        // Boost previously viewed products
+        if (userProfile.history.viewed.includes(product.id)) {
+            factor *= 1.2;
+            reasons.push('You looked at this before');
+        }
+
+        // Boost brands the user likes
+        if (userProfile.preferences.brandPreferences.includes(product.brand)) {
+            factor *= 1.25;
+            reasons.push(`You like ${product.brand}`);
+        }
+
+        // Price range consideration, unless the query already named a budget
+        const statedBudget = filter && (filter.minPrice !== undefined || filter.maxPrice !== undefined);
+        const userPriceRange = userProfile.preferences.priceRange || { min: 0, max: 1000 };
+        const price = salePrice(product);
+        if (statedBudget) {
+            // Hard price bounds were applied before scoring
+        } else if (price >= userPriceRange.min && price <= userPriceRange.max) {
+            factor *= 1.1;
+        } else {
+            factor *= 0.8; // Penalize out of range
+            reasons.push('Outside your usual price range');
+        }
+
+        return { value: factor, reasons };
+    }
+}
+
+// Merchandising boosts (time of day, stock urgency, ratings, discounts,
+// campaigns) come from rules rather than code; see business-rules.js
+export class BusinessRuleScorer extends IntentScorer {
+    constructor({ rules = DEFAULT_RULES, ...options } = {}) {
+        super('rules', { type: 'multiplier', ...options });
+        this.rules = [];
+        this.setRules(rules);
+    }
+
+    // Returns the compile errors so callers can surface a bad rules file.
+    // A file that isn't a rules file at all leaves the current rules in place.
+    setRules(definition) {
+        const { rules, errors } = compileRules(definition);
+        if (rules) this.rules = rules;
+        return errors;
+    }
+
+    score({ product, now }) {
+        let value = 1;
+        const reasons = [];
+        const audit = [];
+
+        this.rules.forEach(rule => {
+            if (!ruleMatches(rule, product, now)) return;
+            const label = formatRuleLabel(rule.label, product);
+            value *= rule.multiplier;
+            reasons.push(label);
+            audit.push({ id: rule.id, multiplier: rule.multiplier, label });
+        });
+
+        return { value, reasons, audit };
+    }
+}
+
+export function createDefaultScorers({ rules } = {}) {
+    return [
+        new TriggerScorer(),
+        new TokenOverlapScorer(),
+        new SemanticScorer(),
+        new QueryFilterScorer(),
+        new PreferenceScorer(),
+        new BusinessRuleScorer({ rules })
+    ];
+}
+
+// ============================================
+// COLOURS
+// ============================================
+
+export const COLOR_NAMES = {
+    black: '#000000',
+    white: '#FFFFFF',
+    grey: '#808080',
+    silver: '#C0C0C0',
+    red: '#DC143C',
+    orange: '#FF8C00',
+    yellow: '#FFD700',
+    green: '#228B22',
+    blue: '#1E50C8',
+    purple: '#800080',
+    pink: '#FFC0CB',
+    brown: '#8B4513',
+    beige: '#D2B48C'
+};
+
+const COLOR_ALIASES = { gray: 'grey', tan: 'beige', wooden: 'brown', wood: 'brown' };
+
+function hexToRgb(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+export function normalizeColorName(word) {
+    const name = COLOR_ALIASES[word] || word;
+    return COLOR_NAMES[name] ? name : null;
+}
+
+// Nearest named colour to a catalog swatch
+export function colorNameOf(hex) {
+    const [r, g, b] = hexToRgb(hex);
+    let best = null;
+    let bestDistance = Infinity;
+
+    Object.entries(COLOR_NAMES).forEach(([name, namedHex]) => {
+        const [nr, ng, nb] = hexToRgb(namedHex);
+        const distance = (r - nr) ** 2 + (g - ng) ** 2 + (b - nb) ** 2;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = name;
+        }
+    });
+
+    return best;
+}
+
+export function productHasColor(product, colorName) {
+    return (product.colors || []).some(hex => colorNameOf(hex) === colorName);
+}
+
+// ============================================
+// QUERY PARSING
+// ============================================
+
+// Words that carry no product meaning on their own
+const FILLER_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'but', 'or', 'in', 'me', 'i', 'it', 'one', 'ones', 'show', 'something',
+    'anything', 'maybe', 'please', 'want', 'need', 'would', 'like', 'how', 'about', 'what', 'some',
+    'version', 'instead', 'option', 'options', 'else', 'that', 'this', 'no', 'not', 'just', 'any',
+    'have', 'you', 'got', 'for', 'with', 'to', 'of', 'is', 'my', 'stuff', 'thing', 'things',
+    'products', 'items', 'than', 'by', 'from', 'colour', 'color', 'am', 'so', 'on', 'at', 'out',
+    'really', 'very', 'feel', 'feeling', 'get'
+]);
+
+// Per-locale filler, on top of the English list (mixed-language input is common)
+const LOCALE_FILLER_WORDS = {
+    es: ['el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'de', 'del', 'y', 'o', 'en', 'con', 'para',
+        'por', 'que', 'mi', 'mis', 'me', 'yo', 'es', 'estoy', 'muy', 'algo', 'quiero', 'necesito', 'busco',
+        'tengo', 'al', 'lo', 'se', 'su', 'otro', 'otra', 'favor'],
+    fr: ['le', 'la', 'les', 'un', 'une', 'des', 'de', 'du', 'et', 'ou', 'en', 'avec', 'pour', 'que', 'je',
+        'j\'ai', 'ai', 'mon', 'ma', 'mes', 'me', 'suis', 'est', 'très', 'quelque', 'chose', 'veux', 'besoin',
+        'cherche', 'au', 'aux', 'ce', 'cette', 'autre', 'moi', 'ne']
+};
+
+export function fillerWordsFor(locale = 'en') {
+    return LOCALE_FILLER_WORDS[locale] ? new Set([...FILLER_WORDS, ...LOCALE_FILLER_WORDS[locale]]) : FILLER_WORDS;
+}
+
+const NEGATORS = new Set(['not', 'no', 'without', 'except', 'excluding', 'but']);
+// Between a negator and what it negates: "not from ToolTech", "without any black"
+const NEGATION_GLUE = ['from', 'by', 'in', 'any', 'the', 'a', 'not'];
+
+// Per-locale negation and budget words, also on top of the English ones.
+// Amounts are still dollars, as the catalog is priced in them.
+const LOCALE_QUERY_WORDS = {
+    es: {
+        negators: ['sin', 'excepto', 'salvo', 'ni'],
+        glue: ['de', 'del', 'el', 'la', 'los', 'las', 'ningún', 'ninguna', 'marca', 'color'],
+        between: ['entre', 'y'],
+        under: ['no más de', 'menos de', 'por debajo de', 'hasta', 'como máximo', 'máximo', 'presupuesto de'],
+        over: ['más de', 'por encima de', 'como mínimo', 'mínimo', 'desde'],
+        around: ['alrededor de', 'aproximadamente', 'unos']
+    },
+    fr: {
+        negators: ['pas', 'sans', 'sauf', 'hormis', 'excepté'],
+        glue: ['de', 'du', 'des', 'le', 'la', 'les', 'en', 'aucun', 'aucune', 'marque', 'couleur'],
+        between: ['entre', 'et'],
+        under: ['pas plus de', 'moins de', 'en dessous de', 'au-dessous de', 'jusqu\'à', 'au maximum', 'maximum', 'budget de'],
+        over: ['plus de', 'au-dessus de', 'au moins', 'minimum', 'à partir de'],
+        around: ['environ', 'autour de', 'vers']
+    }
+};
+
+const AMOUNT = String.raw`\$?\s*(\d+(?:\.\d+)?k?)(?:\s*(?:dollars|dólares|bucks|usd))?`;
+const DOLLAR_AMOUNT = String.raw`(?:\$\s*(\d+(?:\.\d+)?k?)|(\d+(?:\.\d+)?k?)\s*(?:dollars|dólares|bucks|usd))`;
+
+// Checked in order; each match is cut from the text before the next pattern runs
+const PRICE_PATTERNS = [
+    { pattern: new RegExp(String.raw`\bbetween\s+${AMOUNT}\s+and\s+${AMOUNT}`), bounds: ([a, b]) => [Math.min(a, b), Math.max(a, b)] },
+    { pattern: new RegExp(String.raw`\bfrom\s+${AMOUNT}\s+to\s+${AMOUNT}`), bounds: ([a, b]) => [Math.min(a, b), Math.max(a, b)] },
+    { pattern: new RegExp(String.raw`\$\s*(\d+(?:\.\d+)?k?)\s*(?:-|to)\s*${AMOUNT}`), bounds: ([a, b]) => [Math.min(a, b), Math.max(a, b)] },
+    { pattern: new RegExp(String.raw`(?:\b(?:under|below|less than|cheaper than|no more than|not more than|up to|at most|max(?:imum)?|within|budget(?: of)?)|<)\s*${AMOUNT}`), bounds: ([a]) => [undefined, a] },
+    { pattern: new RegExp(String.raw`(?:\b(?:over|above|more than|pricier than|at least|min(?:imum)?)|>)\s*${AMOUNT}`), bounds: ([a]) => [a, undefined] },
+    // A bare "from" needs a currency: "from $50" is a price, "from 7am" is not
+    { pattern: new RegExp(String.raw`\bfrom\s+${DOLLAR_AMOUNT}`), bounds: ([a]) => [a, undefined] },
+    { pattern: new RegExp(String.raw`(?:\b(?:around|about|roughly|approximately)|~)\s*${DOLLAR_AMOUNT}`), bounds: ([a]) => [a * 0.8, a * 1.2] },
+    { pattern: new RegExp(DOLLAR_AMOUNT), bounds: ([a]) => [undefined, a] }
+];
+
+// \b only knows ASCII letters, so it can't start a phrase like "à partir de"
+function localePricePatterns({ between: [from, and], under, over, around }) {
+    const start = String.raw`(?<![\p{L}\p{N}])`;
+    const anyOf = phrases => phrases.map(phrase => phrase.replace(/\s+/g, String.raw`\s+`)).join('|');
+    return [
+        { pattern: new RegExp(String.raw`${start}${from}\s+${AMOUNT}\s+${and}\s+${AMOUNT}`, 'u'), bounds: ([a, b]) => [Math.min(a, b), Math.max(a, b)] },
+        { pattern: new RegExp(String.raw`${start}(?:${anyOf(under)})\s*${AMOUNT}`, 'u'), bounds: ([a]) => [undefined, a] },
+        { pattern: new RegExp(String.raw`${start}(?:${anyOf(over)})\s*${AMOUNT}`, 'u'), bounds: ([a]) => [a, undefined] },
+        { pattern: new RegExp(String.raw`${start}(?:${anyOf(around)})\s*${DOLLAR_AMOUNT}`, 'u'), bounds: ([a]) => [a * 0.8, a * 1.2] }
+    ];
+}
+
+const ENGLISH_QUERY_LANGUAGE = {
+    fillerWords: FILLER_WORDS,
+    negators: NEGATORS,
+    negationGlue: new Set(NEGATION_GLUE),
+    pricePatterns: PRICE_PATTERNS
+};
+
+// What parseQuery() needs to read a locale's queries; English words are
+// understood in every locale
+export function queryLanguageFor(locale = 'en') {
+    const words = LOCALE_QUERY_WORDS[locale];
+    if (!words) return ENGLISH_QUERY_LANGUAGE;
+    return {
+        fillerWords: fillerWordsFor(locale),
+        negators: new Set([...NEGATORS, ...words.negators]),
+        negationGlue: new Set([...NEGATION_GLUE, ...words.glue]),
+        // Ahead of the English list so its bare "$50" = "under $50" fallback runs last
+        pricePatterns: [...localePricePatterns(words), ...PRICE_PATTERNS]
+    };
+}
+
+function parseAmount(value) {
+    return value.endsWith('k') ? parseFloat(value) * 1000 : parseFloat(value);
+}
+
+function formatPrice(value) {
+    return `$${Math.round(value * 100) / 100}`;
+}
+
+export function createFilter() {
+    return {
+        minPrice: undefined,
+        maxPrice: undefined,
+        categories: [],
+        brands: [],
+        colors: [],
+        excluded: { categories: [], brands: [], colors: [], terms: [] }
+    };
+}
+
+export function hasFilter(filter) {
+    const { excluded } = filter;
+    return filter.minPrice !== undefined || filter.maxPrice !== undefined ||
+        filter.categories.length > 0 || filter.brands.length > 0 || filter.colors.length > 0 ||
+        Object.values(excluded).some(list => list.length > 0);
+}
+
+// Later selectors replace earlier ones ("in black" after "in white"); bounds
+// tighten and exclusions accumulate
+export function mergeFilters(base, refinement) {
+    const merged = createFilter();
+    const tighter = (a, b, pick) => (a === undefined ? b : b === undefined ? a : pick(a, b));
+
+    merged.minPrice = tighter(base.minPrice, refinement.minPrice, Math.max);
+    merged.maxPrice = tighter(base.maxPrice, refinement.maxPrice, Math.min);
+    ['categories', 'brands', 'colors'].forEach(key => {
+        merged[key] = refinement[key].length ? [...refinement[key]] : [...base[key]];
+    });
+    Object.keys(merged.excluded).forEach(key => {
+        merged.excluded[key] = [...new Set([...base.excluded[key], ...refinement.excluded[key]])];
+    });
+
+    return merged;
+}
+
+function productTokens(product) {
+    return new Set([
+        ...product.tags,
+        ...product.triggers,
+        ...product.name.toLowerCase().split(/\s+/)
+    ]);
+}
+
+export function matchesFilter(product, filter) {
+    const { excluded } = filter;
+
+    const price = salePrice(product);
+    if (filter.minPrice !== undefined && price < filter.minPrice) return false;
+    if (filter.maxPrice !== undefined && price > filter.maxPrice) return false;
+    if (filter.categories.length && !filter.categories.includes(product.category)) return false;
+    if (filter.brands.length && !filter.brands.includes(product.brand)) return false;
+    if (filter.colors.length && !filter.colors.some(color => productHasColor(product, color))) return false;
+
+    if (excluded.categories.includes(product.category)) return false;
+    if (excluded.brands.includes(product.brand)) return false;
+    // "not black" only rules out products that come in nothing but black
+    const colors = product.colors || [];
+    if (colors.length && excluded.colors.some(color => colors.every(hex => colorNameOf(hex) === color))) {
+        return false;
+    }
+    if (excluded.terms.length) {
+        const tokens = productTokens(product);
+        if (excluded.terms.some(term => tokens.has(term) || tokens.has(term.replace(/s$/, '')))) return false;
+    }
+
+    return true;
+}
+
+// Phrase -> { kind, value } for the brands, categories and colours a query can name
+export function buildVocabulary(catalog) {
+    const vocabulary = new Map();
+
+    catalog.forEach(product => {
+        if (product.brand) {
+            const brand = product.brand;
+            vocabulary.set(brand.toLowerCase(), { kind: 'brands', value: brand });
+            // "ToolTech" can also be typed as "tool tech"
+            vocabulary.set(brand.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase(), { kind: 'brands', value: brand });
+        }
+        if (product.category) {
+            const category = product.category;
+            vocabulary.set(category, { kind: 'categories', value: category });
+            vocabulary.set(category.endsWith('s') ? category.slice(0, -1) : `${category}s`, { kind: 'categories', value: category });
+        }
+    });
+
+    [...Object.keys(COLOR_NAMES), ...Object.keys(COLOR_ALIASES)].forEach(word => {
+        if (!vocabulary.has(word)) {
+            vocabulary.set(word, { kind: 'colors', value: normalizeColorName(word) });
+        }
+    });
+
+    return vocabulary;
+}
+
+// "work from home", "at the office": a category named as a place is context,
+// not what the shopper wants to buy
+const PLACE_PREPOSITIONS = new Set(['from', 'at']);
+
+function namesPlace(tokens, index) {
+    let j = index - 1;
+    while (j >= 0 && ['the', 'my', 'our'].includes(tokens[j])) j--;
+    return j >= 0 && PLACE_PREPOSITIONS.has(tokens[j]);
+}
+
+// Longest vocabulary phrase (up to two words) starting at tokens[index]
+function lookupPhrase(vocabulary, tokens, index) {
+    const pair = tokens[index + 1] ? `${tokens[index]} ${tokens[index + 1]}` : null;
+    if (pair && vocabulary.has(pair)) return { ...vocabulary.get(pair), length: 2 };
+    if (vocabulary.has(tokens[index])) return { ...vocabulary.get(tokens[index]), length: 1 };
+    return null;
+}
+
+// Splits a query into hard constraints and the free text left for scoring:
+//   "kitchen stuff under $200 not LuxBrew" ->
+//   { filter: { maxPrice: 200, categories: ['kitchen'], excluded: { brands: ['LuxBrew'] } },
+//     text: 'kitchen stuff', terms: [] }
+// language comes from queryLanguageFor() for non-English input.
+export function parseQuery(input, catalog = [], vocabulary = buildVocabulary(catalog), language = ENGLISH_QUERY_LANGUAGE) {
+    const { fillerWords, negators, negationGlue, pricePatterns } = language;
+    const filter = createFilter();
+    // Every thousands separator, so "1,000,000" is one number
+    let text = input.toLowerCase().replace(/(\d),(?=\d{3}(?!\d))/g, '$1');
+
+    pricePatterns.forEach(({ pattern, bounds }) => {
+        const match = text.match(pattern);
+        if (!match) return;
+
+        const amounts = match.slice(1).filter(Boolean).map(parseAmount);
+        const [min, max] = bounds(amounts);
+        if (min !== undefined) filter.minPrice = Math.max(filter.minPrice ?? -Infinity, min);
+        if (max !== undefined) filter.maxPrice = Math.min(filter.maxPrice ?? Infinity, max);
+        text = text.replace(pattern, ' ');
+    });
+
+    // Letters from any script, so "café" and "rückenschmerzen" survive
+    const tokens = text.split(/[^\p{L}\p{N}'&]+/u).filter(Boolean);
+    const kept = [];
+    const terms = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+        if (negators.has(tokens[i])) {
+            let j = i + 1;
+            while (tokens[j] && negationGlue.has(tokens[j])) j++;
+            if (!tokens[j]) break;
+
+            const phrase = lookupPhrase(vocabulary, tokens, j);
+            if (phrase) {
+                filter.excluded[phrase.kind].push(phrase.value);
+                i = j + phrase.length - 1;
+            } else if (!fillerWords.has(tokens[j])) {
+                filter.excluded.terms.push(tokens[j]);
+                i = j;
+            }
+            continue;
+        }
+
+        const phrase = lookupPhrase(vocabulary, tokens, i);
+        if (phrase && !(phrase.kind === 'categories' && namesPlace(tokens, i))) {
+            if (!filter[phrase.kind].includes(phrase.value)) filter[phrase.kind].push(phrase.value);
+            kept.push(...tokens.slice(i, i + phrase.length));
+            i += phrase.length - 1;
+            continue;
+        }
+
+        kept.push(tokens[i]);
+        if (!fillerWords.has(tokens[i])) terms.push(tokens[i]);
+    }
+
+    return { filter, text: kept.join(' '), terms };
+}
+
+export function describeFilter(filter) {
+    const parts = [];
+    const { minPrice, maxPrice, excluded } = filter;
+
+    if (minPrice !== undefined && maxPrice !== undefined) parts.push(`${formatPrice(minPrice)}–${formatPrice(maxPrice)}`);
+    else if (maxPrice !== undefined) parts.push(`under ${formatPrice(maxPrice)}`);
+    else if (minPrice !== undefined) parts.push(`over ${formatPrice(minPrice)}`);
+
+    if (filter.categories.length) parts.push(filter.categories.join(' or '));
+    if (filter.brands.length) parts.push(`by ${filter.brands.join(' or ')}`);
+    if (filter.colors.length) parts.push(`in ${filter.colors.join(' or ')}`);
+
+    const exclusions = [...excluded.brands, ...excluded.categories, ...excluded.colors, ...excluded.terms];
+    if (exclusions.length) parts.push(`not ${exclusions.join(', ')}`);
+
+    return parts.join(' · ');
+}
+
+// ============================================
+// DIALOGUE
+// ============================================
+
+const FOLLOW_UP_PATTERNS = {
+    cheaper: /\b(cheaper(?! than)|less expensive|lower price|more affordable|on a budget)\b/,
+    pricier: /\b(more expensive|pricier(?! than)|higher end|fancier|more premium)\b/,
+    exclude: /\b(not (that|this)( one)?|don'?t like (it|that|this)|no thanks|something else|anything else)\b/,
+    another: /\b(another( one)?|next( one)?|other (one|options?)|different one|show me more)\b/
+};
+
+// Returns the follow-up cues in an input, or null if it reads as a new request
+export function parseFollowUp(input, catalog = [], vocabulary = buildVocabulary(catalog), language = ENGLISH_QUERY_LANGUAGE) {
+    let text = input.toLowerCase();
+    const followUp = {};
+
+    Object.entries(FOLLOW_UP_PATTERNS).forEach(([type, pattern]) => {
+        if (pattern.test(text)) {
+            followUp[type] = true;
+            text = text.replace(pattern, ' ');
+        }
+    });
+    const hasCue = Object.keys(followUp).length > 0;
+
+    // "in black", "under $100", "not ToolTech" narrow the current results
+    const query = parseQuery(text, catalog, vocabulary, language);
+    if (hasFilter(query.filter)) {
+        followUp.filter = query.filter;
+    }
+
+    // Leftover content words ("cheaper with noise cancelling") narrow the topic
+    followUp.remainder = query.terms.join(' ');
+
+    if (!hasCue && !followUp.filter) return null;
+    // Constraints inside a fuller sentence ("I need a red mug") are a new request
+    if (!hasCue && followUp.remainder) return null;
+
+    return followUp;
+}
+
+export class DialogueState {
+    constructor() {
+        this.turns = [];
+        this.reset();
+    }
+
+    reset() {
+        this.topic = null;
+        this.suggestions = [];
+        this.excluded = new Set();
+        this.filter = createFilter();
+    }
+
+    get focus() {
+        return this.suggestions[0]?.product || null;
+    }
+
+    // Makes a suggestion the one follow-ups and taps refer to
+    select(productId) {
+        const index = this.suggestions.findIndex(s => s.product.id === productId);
+        if (index > 0) {
+            this.suggestions = [this.suggestions[index], ...this.suggestions.filter((_, i) => i !== index)];
+        }
+    }
+
+    startTopic(input, suggestions) {
+        this.reset();
+        this.topic = input;
+        this.suggestions = suggestions;
+    }
+
+    clone() {
+        const copy = new DialogueState();
+        copy.turns = [...this.turns];
+        copy.topic = this.topic;
+        copy.suggestions = [...this.suggestions];
+        copy.excluded = new Set(this.excluded);
+        copy.filter = mergeFilters(createFilter(), this.filter);
+        return copy;
+    }
+}
+
+export function describeFollowUp(followUp) {
+    const parts = [];
+    if (followUp.cheaper) parts.push('cheaper');
+    if (followUp.pricier) parts.push('pricier');
+    if (followUp.exclude) parts.push('excluding the last suggestion');
+    else if (followUp.another) parts.push('next option');
+    if (followUp.remainder) parts.push(`with "${followUp.remainder}"`);
+    return parts.join(', ');
+}
+
+// ============================================
+// ENGINE
+// ============================================
+
+export class EnhancedContextualAI {
+    constructor(config = {}) {
+        this.scorers = [];
+        this.minConfidence = config.minConfidence ?? 0.1;
+        this.confidenceScale = config.confidenceScale ?? 20; // Score that maps to 100% confidence
+        this.useIndex = config.useIndex ?? true;
+        this.locale = config.locale || 'en';
+        this.catalogState = null;
+
+        (config.scorers || createDefaultScorers(config)).forEach(scorer => this.registerScorer(scorer));
+        Object.entries(config.weights || {}).forEach(([name, weight]) => this.setWeight(name, weight));
+    }
+
+    registerScorer(scorer) {
+        if (!scorer?.name || typeof scorer.score !== 'function') {
+            throw new Error('Scorer needs a name and a score(context) method');
+        }
+        if (scorer.type !== 'additive' && scorer.type !== 'multiplier') {
+            throw new Error(`Scorer "${scorer.name}" has unknown type "${scorer.type}"`);
+        }
+
+        // Re-registering a name replaces the existing scorer in place
+        const index = this.scorers.findIndex(s => s.name === scorer.name);
+        if (index !== -1) {
+            this.scorers[index] = scorer;
+        } else {
+            this.scorers.push(scorer);
+        }
+        return this;
+    }
+
+    removeScorer(name) {
+        this.scorers = this.scorers.filter(scorer => scorer.name !== name);
+        return this;
+    }
+
+    getScorer(name) {
+        return this.scorers.find(scorer => scorer.name === name) || null;
+    }
+
+    setWeight(name, weight) {
+        const scorer = this.getScorer(name);
+        if (!scorer) {
+            throw new Error(`No scorer named "${name}"`);
+        }
+        scorer.weight = weight;
+        return this;
+    }
+
+    // Replaces the merchandising rules; returns any rules that were rejected
+    setRules(definition) {
+        const scorer = this.getScorer('rules');
+        if (!scorer) {
+            throw new Error('No rules scorer registered');
+        }
+        return scorer.setRules(definition);
+    }
+
+    // Query filler, negation and budget words follow the locale; pair with a
+    // catalog localized to match
+    setLocale(locale) {
+        this.locale = locale;
+        if (this.catalogState) {
+            this.catalogState.language = queryLanguageFor(locale);
+        }
+        return this;
+    }
+
+    // Builds the search index and query vocabulary for a catalog. Called on
+    // catalog load; analyzeContext() also rebuilds lazily when handed a
+    // different catalog array.
+    indexCatalog(catalog) {
+        this.catalogState = {
+            catalog,
+            index: this.useIndex ? new CatalogIndex(catalog) : null,
+            semantic: new SemanticIndex(catalog),
+            vocabulary: buildVocabulary(catalog),
+            language: queryLanguageFor(this.locale)
+        };
+        return this.catalogState;
+    }
+
+    getCatalogState(catalog) {
+        if (this.catalogState?.catalog !== catalog) {
+            this.indexCatalog(catalog);
+        }
+        return this.catalogState;
+    }
+
+    parseQuery(input, catalog) {
+        const { vocabulary, language } = this.getCatalogState(catalog);
+        return parseQuery(input, catalog, vocabulary, language);
+    }
+
+    // Union of what the additive scorers could score, or null for a full scan
+    collectCandidates(queryContext) {
+        const candidates = new Set();
+
+        for (const scorer of this.scorers) {
+            if (scorer.type !== 'additive' || scorer.weight === 0) continue;
+
+            const products = scorer.candidates?.(queryContext) ?? null;
+            if (!products) return null;
+            products.forEach(product => candidates.add(product));
+        }
+
+        return candidates;
+    }
+
+    analyzeContext(input, catalog, userProfile = null, options = {}) {
+        const { index, semantic, language } = this.getCatalogState(catalog);
+        const query = options.query || this.parseQuery(input, catalog);
+        const filter = options.filter ? mergeFilters(query.filter, options.filter) : query.filter;
+        // Filler ("i", "a", "want") would fuzzy-match half the catalog's triggers
+        const words = query.text.split(/\s+/).filter(word => word && !language.fillerWords.has(word));
+        const now = options.now || new Date();
+        const minConfidence = options.minConfidence ?? this.minConfidence;
+        const suggestions = [];
+
+        const queryContext = {
+            input,
+            words,
+            query,
+            filter,
+            userProfile,
+            now,
+            engine: this,
+            index,
+            semantic,
+            matchedTerms: index ? index.matchTerms(words) : null
+        };
+
+        // Products no additive scorer can reach would score 0, so skip them
+        const candidates = index ? this.collectCandidates(queryContext) : null;
+        const products = candidates ? index.inCatalogOrder(candidates) : catalog;
+
+        products.forEach(product => {
+            // Parsed price, category, brand and colour constraints are hard filters
+            if (!matchesFilter(product, filter)) return;
+
+            const context = { ...queryContext, product };
+            const breakdown = {};
+            let base = 0;
+            let factor = 1;
+            let matches = 0;
+            const reasons = [];
+
+            // Additive signals first so multipliers apply to the whole base score
+            const ordered = [
+                ...this.scorers.filter(scorer => scorer.type === 'additive'),
+                ...this.scorers.filter(scorer => scorer.type === 'multiplier')
+            ];
+
+            ordered.forEach(scorer => {
+                const result = scorer.score(context) || { value: scorer.type === 'additive' ? 0 : 1 };
+                const weight = scorer.weight ?? 1;
+
+                let effect;
+                if (scorer.type === 'additive') {
+                    effect = result.value * weight;
+                    base += effect;
+                } else {
+                    // Weight scales how far the factor moves away from 1
+                    effect = 1 + (result.value - 1) * weight;
+                    factor *= effect;
+                }
+
+                const texts = result.reasons || (result.reason ? [result.reason] : []);
+                breakdown[scorer.name] = {
+                    type: scorer.type,
+                    weight,
+                    raw: result.value,
+                    effect,
+                    reason: texts.join('; '),
+                    ...result.audit ? { audit: result.audit } : {}
+                };
+
+                matches += result.matches || 0;
+
+                // Keep every reason from a signal that actually moved the score.
+                // impact is points for additive signals, relative change for multipliers.
+                const impact = scorer.type === 'additive' ? effect : effect - 1;
+                if (impact !== 0) {
+                    texts.forEach(text => reasons.push({ signal: scorer.name, type: scorer.type, text, impact }));
+                }
+            });
+
+            // What matched the request first, then boosts and penalties by size
+            reasons.sort((a, b) => {
+                if (a.type !== b.type) return a.type === 'additive' ? -1 : 1;
+                return Math.abs(b.impact) - Math.abs(a.impact);
+            });
+
+            const score = base * factor;
+
+            // Calculate confidence (0-1)
+            const confidence = Math.min(1, score / this.confidenceScale);
+
+            if (confidence > minConfidence) { // Minimum confidence threshold
+                suggestions.push({
+                    product,
+                    confidence,
+                    matches,
+                    reason: reasons[0]?.text || '',
+                    reasons,
+                    score,
+                    breakdown
+                });
+            }
+        });
+
+        // Sort by score
+        return suggestions.sort((a, b) => b.score - a.score);
+    }
+
+    // One conversational turn. Follow-ups refine the topic and filter held in
+    // `dialogue` and search again; anything else starts a new topic. With dryRun the
+    // dialogue is left untouched (used for live as-you-type previews).
+    analyzeTurn(input, catalog, userProfile = null, dialogue = new DialogueState(), options = {}) {
+        const state = options.dryRun ? dialogue.clone() : dialogue;
+        const { vocabulary, language } = this.getCatalogState(catalog);
+        const followUp = state.topic ? parseFollowUp(input, catalog, vocabulary, language) : null;
+
+        if (!followUp) {
+            const query = parseQuery(input, catalog, vocabulary, language);
+            const suggestions = this.analyzeContext(input, catalog, userProfile, { ...options, query });
+            state.startTopic(input, suggestions);
+            state.turns.push({ input, followUp: null, resultIds: suggestions.map(s => s.product.id) });
+            return {
+                suggestions,
+                followUp: null,
+                topic: state.topic,
+                filter: query.filter,
+                interpretation: describeFilter(query.filter),
+                refinement: ''
+            };
+        }
+
+        const focus = state.focus;
+        if (followUp.filter) {
+            state.filter = mergeFilters(state.filter, followUp.filter);
+        }
+        if (focus) {
+            if (followUp.cheaper) {
+                state.filter.maxPrice = Math.min(state.filter.maxPrice ?? Infinity, salePrice(focus) - 0.01);
+            }
+            if (followUp.pricier) {
+                state.filter.minPrice = Math.max(state.filter.minPrice ?? -Infinity, salePrice(focus) + 0.01);
+            }
+            if (followUp.exclude || followUp.another) {
+                state.excluded.add(focus.id);
+            }
+        }
+        if (followUp.remainder) {
+            state.topic = `${state.topic} ${followUp.remainder}`;
+        }
+
+        // Search the whole catalog again for the accumulated topic: the first
+        // turn's results rarely include what "cheaper" or "in black" asks for
+        const query = parseQuery(state.topic, catalog, vocabulary, language);
+        const suggestions = this.analyzeContext(state.topic, catalog, userProfile, {
+            ...options,
+            query,
+            filter: state.filter
+        }).filter(s => !state.excluded.has(s.product.id));
+
+        state.suggestions = suggestions;
+        state.turns.push({ input, followUp, resultIds: suggestions.map(s => s.product.id) });
+
+        const filter = mergeFilters(query.filter, state.filter);
+        return {
+            suggestions,
+            followUp,
+            topic: state.topic,
+            filter,
+            interpretation: describeFilter(filter),
+            refinement: describeFollowUp(followUp)
+        };
+    }
+
+    calculateLevenshtein(a, b) {
+        return levenshtein(a, b);
+    }
+}
@@ -2,6 +2,17 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
 import { ARButton } from 'three/addons/webxr/ARButton.js';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { XREstimatedLight } from 'three/addons/webxr/XREstimatedLight.js';
+import * as SkeletonUtils from 'three/addons/utils/SkeletonUtils.js';
+import { EnhancedContextualAI, DialogueState } from './ai-engine.js';
+import { createDemoCatalog } from './demo-catalog.js';
+import { LOCALES, resolveLocale, createTranslator, localizeCatalog } from './i18n.js';
+import { Cart, CartError } from './cart.js';
+import { PriceEngine, TAX_REGIONS, DEFAULT_REGION, toCents, formatCents } from './pricing.js';
+import { PaymentError, MockGatewayAdapter, HttpGatewayAdapter, localGatewayUrl } from './payments.js';
+import { CardForm } from './card-form.js';
+import { buildOrder, normalizeOrder, renderReceipt, receiptFileName, describePaymentMethod } from './orders.js';
 
 // ============================================
 // JamesTheGiblet - ARplacementAI v2.0
@@ -16,15 +27,41 @@ class ARplacementAI {
         this.camera = null;
         this.renderer = null;
         this.reticle = null;
+        this.lighting = null;
         this.hitTestSource = null;
         this.hitTestSourceRequested = false;
         
+        // Inline 3D preview (fallback when immersive-ar is unavailable)
+        this.webxrSupported = false;
+        this.isPreviewMode = false;
+        this.controls = null;
+        this.floor = null;
+        this.floorGrid = null;
+        this.raycaster = new THREE.Raycaster();
+        this.pointerDown = null;
+        this.previewListeners = null;
+        
         // Product Management
         this.products = [];
         this.activeProducts = new Map();
         this.productLabels = new Map();
         this.gltfLoader = null;
         this.dracoLoader = null;
+        this.modelCache = new ModelCache((url, options) => this.loadModel(url, options));
+        this.pendingPlacements = new Set();
+        
+        // Selection & Manipulation
+        this.selectedProduct = null;
+        this.selectionHelper = null;
+        this.dragState = null;
+        this.gestureState = null;
+        this.lastGestureEnd = 0;
+        this.transientHitTestSource = null;
+        
+        // Anchors keep placed products fixed as tracking updates
+        this.anchorsSupported = false;
+        this.anchorRequests = [];
+        this.productAnchors = new Map();
         
         // Analytics & Tracking
         this.analytics = {
@@ -39,30 +76,67 @@ class ARplacementAI {
         
         // AI & Context
         this.conversationContext = [];
+        this.dialogue = new DialogueState();
         this.userPreferences = this.loadUserPreferences();
+        
+        // Language for UI strings, speech recognition and catalog matching
+        this.locale = resolveLocale(this.userPreferences.locale || navigator.language);
+        this.t = createTranslator(this.locale);
+        
+        // 'true' renders catalog dimensions at real size, 'showcase' uses the catalog's display scale
+        this.scaleMode = this.userPreferences.scaleMode || 'true';
+        
+        // Fit checking between placed products
+        this.snapBeside = Boolean(this.userPreferences.snapBeside);
+        this.collisionsDirty = false;
+        this.collisionHelpers = new Map();
+        
+        // Saved room layouts
+        this.layoutStore = new LayoutStore();
+        
+        // Measurement
+        this.measureTool = null;
+        this.units = this.userPreferences.units || 'metric'; // 'metric' | 'imperial'
         this.conversationHistory = [];
-        this.aiEngine = new EnhancedContextualAI();
-        this.recommendationEngine = new RecommendationEngine();
+        this.aiEngine = new EnhancedContextualAI({ locale: this.locale });
+        this.recommendationEngine = new RecommendationEngine(this.aiEngine);
         
         // APIs & Services
         this.brandAPI = new BrandAPI();
-        this.paymentProcessor = new PaymentProcessor();
+        // ?gateway=http://localhost:4242 checks out against tools/mock-payment-server.mjs;
+        // only gateways on this machine are accepted
+        const gatewayParam = new URLSearchParams(location.search).get('gateway');
+        const gateway = localGatewayUrl(gatewayParam);
+        if (gatewayParam && !gateway) {
+            console.warn('Ignoring ?gateway= override: only localhost gateways are allowed');
+        }
+        this.paymentProcessor = new PaymentProcessor(
+            gateway ? new HttpGatewayAdapter({ baseUrl: gateway }) : new MockGatewayAdapter()
+        );
+        this.pendingPaymentAction = null;
+        this.paymentInFlight = false;
+        this.cardForm = null;
         this.inventoryAPI = new InventoryAPI();
         this.userProfile = null;
         
         // UI State
         this.isSessionActive = false;
         this.currentViewMode = 'ar'; // 'ar', 'catalog', 'cart'
-        this.cart = [];
+        this.cart = new Cart();
         this.wishlist = [];
         
+        // Discounts, shipping, tax and promo codes for every displayed price
+        this.pricing = new PriceEngine({ region: this.userPreferences.region || DEFAULT_REGION });
+        this.promoCode = null;
+        
         // Performance
         this.frameCount = 0;
         this.lastFPSUpdate = 0;
         this.fps = 0;
         
         // Initialize
-        this.productCatalog = [];
+        this.sourceCatalog = []; // As fetched, with every translation
+        this.productCatalog = []; // Resolved for the active locale
         this.initLoaders();
     }
     
@@ -81,24 +155,17 @@ class ARplacementAI {
             
             // Setup UI immediately so we have a loading screen
             this.setupUI();
+            
+            // Scene is shared by the AR session and the inline 3D preview
+            this.setupScene();
 
         // Check for WebXR support
-        const webxrSupported = await this.checkWebXRSupport();
-        const startBtn = document.getElementById('startAR');
-
-        if (webxrSupported) {
-            if (startBtn) {
-                startBtn.disabled = false;
-                startBtn.innerHTML = '<i class="fas fa-camera"></i> Start AR Experience';
-            }
-        } else if (startBtn) {
-                startBtn.disabled = true;
-                startBtn.innerHTML = '<i class="fas fa-ban"></i> AR Not Supported';
-                startBtn.style.background = '#555';
-                startBtn.style.cursor = 'not-allowed';
-        }
+        this.webxrSupported = await this.checkWebXRSupport();
+        this.updateStartButton();
 
         await this.fetchProductCatalog();
+        this.restoreCart();
+        this.trainRecommendations();
         this.setupEventListeners();
 
         // Initialize brand API with demo data
@@ -112,7 +179,21 @@ class ARplacementAI {
             
         } catch (error) {
             console.error('Initialization error:', error);
-            this.showError(`Initialization failed: ${error.message}`);
+            this.showError(this.t('toast.initFailed', { error: error.message }));
+        }
+    }
+    
+    updateStartButton() {
+        const startBtn = document.getElementById('startAR');
+        if (!startBtn) return;
+        
+        startBtn.disabled = false;
+        if (this.webxrSupported) {
+            startBtn.innerHTML = `<i class="fas fa-camera"></i> ${this.t('start.startAR')}`;
+        } else {
+            // No immersive-ar: fall back to an inline 3D preview on a virtual floor
+            startBtn.innerHTML = `<i class="fas fa-cube"></i> ${this.t('start.startPreview')}`;
+            startBtn.title = this.t('start.arUnsupported');
         }
     }
     
@@ -161,138 +242,80 @@ async checkWebXRSupport() {
             const apiCatalog = await this.brandAPI.fetchProducts();
             
             if (apiCatalog && apiCatalog.length > 0) {
-                this.productCatalog = apiCatalog;
+                this.sourceCatalog = apiCatalog;
             } else {
                 // Fallback to demo catalog
-                this.productCatalog = this.initDemoCatalog();
+                this.sourceCatalog = this.initDemoCatalog();
             }
+            this.productCatalog = localizeCatalog(this.sourceCatalog, this.locale);
             
-            // Preload 3D models for top products
-            await this.preloadModels();
+            // Warm the model cache in the background so the start screen isn't held up
+            this.preloadModels();
             
         } catch (error) {
             console.warn('Using demo catalog:', error);
-            this.productCatalog = this.initDemoCatalog();
+            this.sourceCatalog = this.initDemoCatalog();
+            this.productCatalog = localizeCatalog(this.sourceCatalog, this.locale);
+        }
+        
+        // Build the search index once per catalog rather than on every keystroke
+        this.aiEngine.indexCatalog(this.productCatalog);
+        
+        // Merchandising rules ship with the catalog; keep the built-in ones if they can't be loaded
+        const rules = await this.brandAPI.fetchRules();
+        if (rules) {
+            const rejected = this.aiEngine.setRules(rules);
+            if (rejected.length) {
+                console.warn('Some merchandising rules were ignored:', rejected);
+            }
         }
     }
     
     initDemoCatalog() {
-        return [
-            {
-                id: 'coffee_machine_pro',
-                name: 'Barista Pro Espresso Machine',
-                brand: 'LuxBrew',
-                category: 'kitchen',
-                price: 499.99,
-                discount: 15,
-                rating: 4.8,
-                stock: 42,
-                description: 'Professional-grade espresso machine with smart connectivity',
-                tags: ['coffee', 'espresso', 'smart', 'kitchen', 'premium'],
-                triggers: ['coffee', 'tired', 'morning', 'caffeine', 'energy', 'brew', 'wake up'],
-                modelUrl: 'https://raw.githubusercontent.com/KhronosGroup/glTF-Sample-Models/master/2.0/CesiumMan/glTF/CesiumMan.gltf',
-                dimensions: { x: 0.15, y: 0.25, z: 0.20 },
-                scale: 0.5,
-                colors: ['#8B4513', '#D2691E', '#A0522D'],
-                features: ['WiFi Connected', 'App Control', '15 Bar Pressure'],
-                reviews: 128,
-                shipping: { free: true, days: 2 }
-            },
-            {
-                id: 'smart_garden',
-                name: 'HydraSmart Indoor Garden',
-                brand: 'GreenLife',
-                category: 'home',
-                price: 179.99,
-                discount: 20,
-                rating: 4.6,
-                stock: 89,
-                description: 'Self-watering smart garden with grow lights',
-                tags: ['plant', 'garden', 'smart', 'home', 'sustainable'],
-                triggers: ['plant', 'garden', 'green', 'nature', 'grow', 'sustainable', 'home'],
-                modelUrl: 'https://raw.githubusercontent.com/KhronosGroup/glTF-Sample-Models/master/2.0/Duck/glTF/Duck.gltf',
-                dimensions: { x: 0.30, y: 0.15, z: 0.30 },
-                scale: 0.3,
-                colors: ['#228B22', '#32CD32', '#006400'],
-                features: ['Auto Watering', 'LED Grow Lights', 'App Monitoring'],
-                reviews: 256,
-                shipping: { free: true, days: 3 }
-            },
-            {
-                id: 'pro_tool_set',
-                name: 'MasterCraft Pro Tool Kit',
-                brand: 'ToolTech',
-                category: 'tools',
-                price: 299.99,
-                discount: 10,
-                rating: 4.9,
-                stock: 23,
-                description: '156-piece professional tool set with lifetime warranty',
-                tags: ['tools', 'diy', 'professional', 'repair', 'construction'],
-                triggers: ['fix', 'repair', 'build', 'maintenance', 'broken', 'diy', 'tools'],
-                modelUrl: 'https://raw.githubusercontent.com/KhronosGroup/glTF-Sample-Models/master/2.0/Box/glTF/Box.gltf',
-                dimensions: { x: 0.40, y: 0.25, z: 0.30 },
-                scale: 0.4,
-                colors: ['#FF4500', '#FF6347', '#DC143C'],
-                features: ['Lifetime Warranty', 'Professional Grade', '156 Pieces'],
-                reviews: 512,
-                shipping: { free: true, days: 1 }
-            },
-            {
-                id: 'ergo_standing_desk',
-                name: 'AeroStand Pro Desk',
-                brand: 'ErgoWorks',
-                category: 'office',
-                price: 699.99,
-                discount: 25,
-                rating: 4.7,
-                stock: 15,
-                description: 'Smart standing desk with health tracking',
-                tags: ['desk', 'ergonomic', 'office', 'standing', 'health'],
-                triggers: ['back', 'posture', 'desk', 'ergonomic', 'work', 'office', 'health'],
-                modelUrl: 'https://raw.githubusercontent.com/KhronosGroup/glTF-Sample-Models/master/2.0/Box/glTF/Box.gltf',
-                dimensions: { x: 0.60, y: 0.02, z: 0.40 },
-                scale: 0.25,
-                colors: ['#8B7355', '#D2B48C', '#A0522D'],
-                features: ['Health Tracking', 'Memory Presets', 'Wireless Charging'],
-                reviews: 89,
-                shipping: { free: false, cost: 49.99, days: 5 }
-            },
-            {
-                id: 'quantum_headphones',
-                name: 'Quantum Sound Pro X',
-                brand: 'AudioMax',
-                category: 'electronics',
-                price: 349.99,
-                discount: 0,
-                rating: 4.9,
-                stock: 67,
-                description: 'Noise-cancelling headphones with spatial audio',
-                tags: ['audio', 'headphones', 'music', 'wireless', 'premium'],
-                triggers: ['music', 'sound', 'focus', 'travel', 'audio', 'noise'],
-                modelUrl: 'https://raw.githubusercontent.com/KhronosGroup/glTF-Sample-Models/master/2.0/Box/glTF/Box.gltf',
-                dimensions: { x: 0.20, y: 0.15, z: 0.20 },
-                scale: 0.5,
-                colors: ['#000000', '#1A1A1A', '#333333'],
-                features: ['Active Noise Cancelling', '30hr Battery', 'Spatial Audio'],
-                reviews: 1024,
-                shipping: { free: true, days: 2 }
-            }
-        ];
+        return createDemoCatalog();
     }
     
-    async preloadModels() {
-        // Preload first 3 models for better UX
-        const modelsToPreload = this.productCatalog.slice(0, 3);
+    getPreloadPriority(product) {
+        // Products the user is most likely to place first load first
+        let priority = product.rating || 0;
         
-        for (const product of modelsToPreload) {
-            try {
-                await this.loadModel(product.modelUrl);
-                console.log(`Preloaded model: ${product.name}`);
-            } catch (error) {
-                console.warn(`Failed to preload ${product.name}:`, error);
-            }
+        if (this.userProfile) {
+            if (this.userProfile.preferences.categories.includes(product.category)) priority += 3;
+            if (this.userProfile.preferences.brandPreferences.includes(product.brand)) priority += 2;
+            if (this.userProfile.history.viewed.includes(product.id)) priority += 1;
         }
+        if (product.stock <= 0) priority -= 5;
+        
+        return priority;
+    }
+    
+    async preloadModels(limit = 5, concurrency = 3) {
+        // Unique model URLs, highest priority first
+        const queue = [];
+        [...this.productCatalog]
+            .filter(product => product.modelUrl)
+            .sort((a, b) => this.getPreloadPriority(b) - this.getPreloadPriority(a))
+            .forEach(product => {
+                if (queue.length < limit && !queue.some(item => item.modelUrl === product.modelUrl)) {
+                    queue.push(product);
+                }
+            });
+        
+        // Small worker pool pulling from the shared queue
+        const worker = async () => {
+            while (queue.length > 0) {
+                const product = queue.shift();
+                try {
+                    await this.modelCache.preload(product.modelUrl);
+                    console.log(`Preloaded model: ${product.name}`);
+                } catch (error) {
+                    console.warn(`Failed to preload ${product.name}:`, error);
+                }
+            }
+        };
+        
+        await Promise.all(Array.from({ length: concurrency }, worker));
+        console.log('Model cache:', this.modelCache.getStats());
     }
     
     setupScene() {
@@ -325,13 +348,11 @@ async checkWebXRSupport() {
         
         document.body.appendChild(this.renderer.domElement);
         
-        // Lighting
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-        this.scene.add(ambientLight);
+        // Lighting (static rig until the XR session provides light estimates)
+        this.lighting = new XRLightingSystem(this.scene, this.renderer);
         
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-        directionalLight.position.set(5, 5, 5);
-        this.scene.add(directionalLight);
+        // Measuring polyline
+        this.measureTool = new MeasurementTool(this.scene);
         
         // Reticle for surface detection
         const reticleGeometry = new THREE.RingGeometry(0.15, 0.2, 32).rotateX(-Math.PI / 2);
@@ -350,6 +371,19 @@ async checkWebXRSupport() {
         gridHelper.position.y = -1.5;
         gridHelper.visible = false; // Hidden in AR mode
         this.scene.add(gridHelper);
+        this.floorGrid = gridHelper;
+        
+        // Virtual floor for the inline 3D preview
+        const floorGeometry = new THREE.PlaneGeometry(10, 10).rotateX(-Math.PI / 2);
+        const floorMaterial = new THREE.MeshStandardMaterial({ 
+            color: 0x2a2a3e,
+            roughness: 1,
+            metalness: 0
+        });
+        this.floor = new THREE.Mesh(floorGeometry, floorMaterial);
+        this.floor.receiveShadow = true;
+        this.floor.visible = false; // Only shown in preview mode
+        this.scene.add(this.floor);
     }
     
     setupUI() {
@@ -357,6 +391,8 @@ async checkWebXRSupport() {
         const existingUI = document.getElementById('ui-overlay');
         if (existingUI) existingUI.remove();
         
+        document.documentElement.lang = this.locale;
+        
         // Create main UI overlay
         const overlay = document.createElement('div');
         overlay.id = 'ui-overlay';
@@ -375,43 +411,53 @@ async checkWebXRSupport() {
                     <div class="logo">
                         <i class="fas fa-cube"></i>
                         <h1>ARplacementAI</h1>
-                        <p class="tagline">See it in your space before you buy</p>
+                        <p class="tagline">${this.t('start.tagline')}</p>
                     </div>
                     
                     <div class="user-welcome">
                         <div class="avatar">${this.userProfile?.name?.charAt(0) || 'G'}</div>
-                        <h3>Welcome, ${this.userProfile?.name || 'Guest'}!</h3>
-                        <p>Session #${this.userProfile?.sessionCount || 1}</p>
+                        <h3>${this.t('start.welcome', { name: this.userProfile?.name || this.t('start.guest') })}</h3>
+                        <p>${this.t('start.session', { count: this.userProfile?.sessionCount || 1 })}</p>
                     </div>
                     
                     <div class="quick-stats">
                         <div class="stat-card">
                             <i class="fas fa-box-open"></i>
-                            <span>${this.productCatalog.length} Products</span>
+                            <span>${this.t('common.products', { count: this.productCatalog.length })}</span>
                         </div>
                         <div class="stat-card">
                             <i class="fas fa-tags"></i>
-                            <span>${this.getActiveBrands()} Brands</span>
+                            <span>${this.t('start.brands', { count: this.getActiveBrands() })}</span>
                         </div>
                         <div class="stat-card">
                             <i class="fas fa-shipping-fast"></i>
-                            <span>Free Shipping</span>
+                            <span>${this.t('start.freeShipping')}</span>
                         </div>
                     </div>
                     
                     <button id="startAR" class="btn-primary" disabled>
                         <i class="fas fa-circle-notch fa-spin"></i>
-                        Checking Compatibility...
+                        ${this.t('start.checking')}
                     </button>
                     
                     <button id="viewCatalog" class="btn-secondary">
                         <i class="fas fa-th"></i>
-                        Browse Catalog
+                        ${this.t('start.browseCatalog')}
                     </button>
                     
                     <div class="demo-tips">
-                        <p><i class="fas fa-lightbulb"></i> Try saying: "I need coffee" or "My back hurts at work"</p>
+                        <p><i class="fas fa-lightbulb"></i> ${this.t('start.tip')}</p>
                     </div>
+                    
+                    <label class="language-picker">
+                        <i class="fas fa-globe"></i>
+                        <span>${this.t('start.language')}</span>
+                        <select id="languageSelect" class="filter-select">
+                            ${Object.entries(LOCALES).map(([code, { label }]) => `
+                                <option value="${code}" ${code === this.locale ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                    </label>
                 </div>
             </div>
             
@@ -419,8 +465,8 @@ async checkWebXRSupport() {
             <div id="loading" class="screen">
                 <div class="loading-content">
                     <div class="spinner"></div>
-                    <h2>Loading ARplacementAI</h2>
-                    <p>Initializing 3D engine...</p>
+                    <h2>${this.t('loading.title')}</h2>
+                    <p>${this.t('loading.detail')}</p>
                 </div>
             </div>
             
@@ -433,34 +479,88 @@ async checkWebXRSupport() {
                     </button>
                     <div class="session-info">
                         <span class="fps-counter">60 FPS</span>
-                        <span class="product-count">0 Products</span>
+                        <span class="product-count">${this.t('common.products', { count: 0 })}</span>
+                    </div>
+                    <div class="top-bar-actions">
+                        <button id="toggleScaleMode" class="icon-btn scale-mode-btn" title="${this.t('ar.toggleScale')}">
+                            <i class="fas fa-ruler-combined"></i>
+                            <span class="scale-mode-label">${this.t(this.scaleMode === 'true' ? 'ar.scaleTrue' : 'ar.scaleShowcase')}</span>
+                        </button>
+                        <button id="toggleLayouts" class="icon-btn" title="${this.t('ar.layouts')}">
+                            <i class="fas fa-layer-group"></i>
+                        </button>
+                        <button id="toggleMeasure" class="icon-btn" title="${this.t('ar.measure')}">
+                            <i class="fas fa-ruler"></i>
+                        </button>
+                        <button id="toggleSnap" class="icon-btn ${this.snapBeside ? 'active' : ''}" title="${this.t('ar.snap')}">
+                            <i class="fas fa-magnet"></i>
+                        </button>
+                        <button id="toggleOrders" class="icon-btn" title="${this.t('ar.orders')}">
+                            <i class="fas fa-receipt"></i>
+                        </button>
+                        <button id="toggleCart" class="icon-btn cart-toggle" title="${this.t('ar.cart')}">
+                            <i class="fas fa-shopping-cart"></i>
+                            <span class="cart-badge">0</span>
+                        </button>
+                        <button id="toggleCatalog" class="icon-btn">
+                            <i class="fas fa-th"></i>
+                        </button>
                     </div>
-                    <button id="toggleCatalog" class="icon-btn">
-                        <i class="fas fa-th"></i>
-                    </button>
                 </div>
                 
                 <!-- Instructions -->
                 <div id="instructions" class="instructions">
                     <div class="instruction-item">
                         <i class="fas fa-move"></i>
-                        <span>Move to detect surfaces</span>
+                        <span>${this.t('instructions.move')}</span>
                     </div>
                     <div class="instruction-item">
                         <i class="fas fa-comment"></i>
-                        <span>Speak or type to trigger AI</span>
+                        <span>${this.t('instructions.speak')}</span>
                     </div>
                     <div class="instruction-item">
                         <i class="fas fa-hand-pointer"></i>
-                        <span>Tap to place products</span>
+                        <span>${this.t('instructions.tap')}</span>
                     </div>
                 </div>
                 
+                <!-- Selection Toolbar -->
+                <div id="selectionToolbar" class="selection-toolbar">
+                    <span class="selection-name"></span>
+                    <div class="selection-colors"></div>
+                    <button id="rotateLeft" class="icon-btn-small" title="${this.t('selection.rotateLeft')}">
+                        <i class="fas fa-rotate-left"></i>
+                    </button>
+                    <button id="rotateRight" class="icon-btn-small" title="${this.t('selection.rotateRight')}">
+                        <i class="fas fa-rotate-right"></i>
+                    </button>
+                    <button id="scaleDown" class="icon-btn-small" title="${this.t('selection.smaller')}">
+                        <i class="fas fa-minus"></i>
+                    </button>
+                    <button id="scaleUp" class="icon-btn-small" title="${this.t('selection.larger')}">
+                        <i class="fas fa-plus"></i>
+                    </button>
+                    <button id="deleteProduct" class="icon-btn-small danger" title="${this.t('selection.remove')}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                    <button id="deselectProduct" class="icon-btn-small" title="${this.t('selection.done')}">
+                        <i class="fas fa-check"></i>
+                    </button>
+                </div>
+                
+                <!-- Complete the Room -->
+                <div id="completeRoom" class="complete-room">
+                    <div class="complete-room-title">
+                        <i class="fas fa-couch"></i> ${this.t('completeRoom.title')}
+                    </div>
+                    <div class="complete-room-items"></div>
+                </div>
+                
                 <!-- AI Chat Interface -->
                 <div id="chatInterface" class="chat-interface">
                     <div class="chat-header">
                         <i class="fas fa-robot"></i>
-                        <span>AI Assistant</span>
+                        <span>${this.t('chat.title')}</span>
                         <div class="confidence-indicator">
                             <div class="confidence-bar"></div>
                             <span class="confidence-value">--%</span>
@@ -468,7 +568,7 @@ async checkWebXRSupport() {
                     </div>
                     <div class="chat-input-container">
                         <input type="text" id="chatInput" 
-                               placeholder="What are you thinking about? Try: 'I need coffee' or 'My plant needs water'"
+                               placeholder="${this.t('chat.placeholder')}"
                                autocomplete="off">
                         <button id="voiceInput" class="icon-btn-small">
                             <i class="fas fa-microphone"></i>
@@ -482,34 +582,90 @@ async checkWebXRSupport() {
                     </div>
                 </div>
                 
+                <!-- Layouts Panel -->
+                <div id="layoutPanel" class="layout-panel">
+                    <div class="layout-header">
+                        <h3><i class="fas fa-layer-group"></i> ${this.t('layouts.title')}</h3>
+                        <button id="closeLayouts" class="icon-btn-small">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <div class="layout-save">
+                        <input type="text" id="layoutName" class="search-input" placeholder="${this.t('layouts.namePlaceholder')}" autocomplete="off">
+                        <button id="saveLayout" class="icon-btn-small" title="${this.t('layouts.save')}">
+                            <i class="fas fa-save"></i>
+                        </button>
+                        <button id="importLayout" class="icon-btn-small" title="${this.t('layouts.import')}">
+                            <i class="fas fa-file-import"></i>
+                        </button>
+                        <input type="file" id="layoutFile" accept=".json,application/json" hidden>
+                    </div>
+                    <div id="layoutList" class="layout-list">
+                        <!-- Saved layouts will be dynamically added -->
+                    </div>
+                </div>
+                
+                <!-- Orders Panel -->
+                <div id="orderPanel" class="order-panel">
+                    <div class="order-header">
+                        <h3><i class="fas fa-receipt"></i> ${this.t('orders.title')}</h3>
+                        <button id="closeOrders" class="icon-btn-small">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <div id="orderList" class="order-list">
+                        <!-- Past orders will be dynamically added -->
+                    </div>
+                </div>
+                
+                <!-- Measure Panel -->
+                <div id="measurePanel" class="measure-panel">
+                    <div class="measure-header">
+                        <i class="fas fa-ruler"></i>
+                        <span class="measure-title">${this.t('measure.title')}</span>
+                        <button id="measureUnits" class="icon-btn-small" title="${this.t('measure.units')}">
+                            <span class="measure-units-label">${this.units === 'metric' ? 'm' : 'ft'}</span>
+                        </button>
+                        <button id="measureUndo" class="icon-btn-small" title="${this.t('measure.undo')}">
+                            <i class="fas fa-undo"></i>
+                        </button>
+                        <button id="measureClear" class="icon-btn-small" title="${this.t('measure.clear')}">
+                            <i class="fas fa-eraser"></i>
+                        </button>
+                    </div>
+                    <div id="measureResults" class="measure-results">
+                        ${this.t('measure.hint')}
+                    </div>
+                </div>
+                
                 <!-- Analytics Panel -->
                 <div id="analyticsPanel" class="analytics-panel">
                     <div class="analytics-header">
                         <i class="fas fa-chart-line"></i>
-                        <span>Live Analytics</span>
+                        <span>${this.t('analytics.title')}</span>
                         <button id="toggleAnalytics" class="icon-btn-small">
                             <i class="fas fa-chevron-down"></i>
                         </button>
                     </div>
                     <div class="analytics-content">
                         <div class="stat-row">
-                            <span class="stat-label">Placements</span>
+                            <span class="stat-label">${this.t('analytics.placements')}</span>
                             <span class="stat-value" id="statPlacements">0</span>
                         </div>
                         <div class="stat-row">
-                            <span class="stat-label">Impressions</span>
+                            <span class="stat-label">${this.t('analytics.impressions')}</span>
                             <span class="stat-value" id="statImpressions">0</span>
                         </div>
                         <div class="stat-row">
-                            <span class="stat-label">Interactions</span>
+                            <span class="stat-label">${this.t('analytics.interactions')}</span>
                             <span class="stat-value" id="statInteractions">0</span>
                         </div>
                         <div class="stat-row">
-                            <span class="stat-label">AI Confidence</span>
+                            <span class="stat-label">${this.t('analytics.confidence')}</span>
                             <span class="stat-value" id="statConfidence">--%</span>
                         </div>
                         <div class="stat-row">
-                            <span class="stat-label">Session Time</span>
+                            <span class="stat-label">${this.t('analytics.sessionTime')}</span>
                             <span class="stat-value" id="statSessionTime">0:00</span>
                         </div>
                     </div>
@@ -518,22 +674,25 @@ async checkWebXRSupport() {
                 <!-- Product Catalog Sidebar -->
                 <div id="catalogSidebar" class="catalog-sidebar">
                     <div class="catalog-header">
-                        <h3><i class="fas fa-th"></i> Product Catalog</h3>
+                        <h3><i class="fas fa-th"></i> ${this.t('catalog.title')}</h3>
                         <button id="closeCatalog" class="icon-btn-small">
                             <i class="fas fa-times"></i>
                         </button>
                     </div>
                     <div class="catalog-filters">
-                        <input type="text" placeholder="Search products..." class="search-input">
+                        <input type="text" placeholder="${this.t('catalog.search')}" class="search-input">
                         <select class="filter-select">
-                            <option value="all">All Categories</option>
-                            <option value="kitchen">Kitchen</option>
-                            <option value="home">Home</option>
-                            <option value="tools">Tools</option>
-                            <option value="office">Office</option>
-                            <option value="electronics">Electronics</option>
+                            <option value="all">${this.t('catalog.allCategories')}</option>
+                            <option value="kitchen">${this.t('category.kitchen')}</option>
+                            <option value="home">${this.t('category.home')}</option>
+                            <option value="tools">${this.t('category.tools')}</option>
+                            <option value="office">${this.t('category.office')}</option>
+                            <option value="electronics">${this.t('category.electronics')}</option>
                         </select>
                     </div>
+                    <div id="catalogRecommendations" class="catalog-recommendations">
+                        <!-- "You might also like" is filled in from shopping history -->
+                    </div>
                     <div id="catalogItems" class="catalog-items">
                         <!-- Catalog items will be dynamically added -->
                     </div>
@@ -542,7 +701,7 @@ async checkWebXRSupport() {
                 <!-- Cart Panel -->
                 <div id="cartPanel" class="cart-panel">
                     <div class="cart-header">
-                        <h3><i class="fas fa-shopping-cart"></i> Your Cart</h3>
+                        <h3><i class="fas fa-shopping-cart"></i> ${this.t('cart.title')}</h3>
                         <span class="cart-count">0</span>
                     </div>
                     <div id="cartItems" class="cart-items">
@@ -550,12 +709,12 @@ async checkWebXRSupport() {
                     </div>
                     <div class="cart-footer">
                         <div class="cart-total">
-                            <span>Total:</span>
+                            <span>${this.t('cart.total')}</span>
                             <span class="total-amount">$0.00</span>
                         </div>
                         <button id="checkoutBtn" class="btn-checkout" disabled>
                             <i class="fas fa-lock"></i>
-                            Proceed to Checkout
+                            ${this.t('cart.checkout')}
                         </button>
                     </div>
                 </div>
@@ -564,7 +723,7 @@ async checkWebXRSupport() {
                 <div id="paymentModal" class="modal">
                     <div class="modal-content">
                         <div class="modal-header">
-                            <h3><i class="fas fa-credit-card"></i> Secure Checkout</h3>
+                            <h3><i class="fas fa-credit-card"></i> ${this.t('payment.title')}</h3>
                             <button class="close-modal">&times;</button>
                         </div>
                         <div class="modal-body">
@@ -600,6 +759,15 @@ async checkWebXRSupport() {
         if (window.DeviceMotionEvent) {
             window.addEventListener('devicemotion', (e) => this.handleDeviceMotion(e));
         }
+        
+        // Two-finger rotate / pinch-scale of the selected product
+        window.addEventListener('touchstart', (e) => this.onGestureStart(e), { passive: true });
+        window.addEventListener('touchmove', (e) => this.onGestureMove(e), { passive: true });
+        window.addEventListener('touchend', (e) => this.onGestureEnd(e));
+        window.addEventListener('touchcancel', (e) => this.onGestureEnd(e));
+        
+        // Keyboard shortcuts for the selected product
+        window.addEventListener('keydown', (e) => this.handleKeyDown(e));
     }
     
     setupUIEventListeners() {
@@ -609,11 +777,19 @@ async checkWebXRSupport() {
         // View Catalog
         document.getElementById('viewCatalog').addEventListener('click', () => this.showCatalog());
         
-        // Chat input
+        // Language
+        document.getElementById('languageSelect').addEventListener('change', (e) => this.setLocale(e.target.value));
+        
+        // Chat input; suggestion buttons must not also fire an XR select
+        document.getElementById('chatInterface').addEventListener('beforexrselect', (e) => e.preventDefault());
         const chatInput = document.getElementById('chatInput');
-        chatInput.addEventListener('input', (e) => this.handleInput(e.target.value));
+        // Typing previews suggestions; only Enter/Send commits a turn to the dialogue
+        chatInput.addEventListener('input', (e) => this.handleInput(e.target.value, { preview: true }));
         chatInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.handleInput(e.target.value);
+            if (e.key === 'Enter') {
+                this.handleInput(e.target.value);
+                chatInput.value = '';
+            }
         });
         
         document.getElementById('sendChat').addEventListener('click', () => {
@@ -627,16 +803,69 @@ async checkWebXRSupport() {
         // Exit AR
         document.getElementById('exitAR').addEventListener('click', () => this.endSession());
         
+        // True size / showcase
+        document.getElementById('toggleScaleMode').addEventListener('click', () => this.toggleScaleMode());
+        
+        // Room layouts
+        const layoutPanel = document.getElementById('layoutPanel');
+        layoutPanel.addEventListener('beforexrselect', (e) => e.preventDefault());
+        document.getElementById('toggleLayouts').addEventListener('click', () => this.toggleLayoutPanel());
+        document.getElementById('closeLayouts').addEventListener('click', () => this.toggleLayoutPanel(false));
+        document.getElementById('saveLayout').addEventListener('click', () => this.saveLayout());
+        document.getElementById('importLayout').addEventListener('click', () => document.getElementById('layoutFile').click());
+        document.getElementById('layoutFile').addEventListener('change', (e) => {
+            if (e.target.files[0]) this.importLayout(e.target.files[0]);
+            e.target.value = '';
+        });
+        
+        // Measure mode
+        const measurePanel = document.getElementById('measurePanel');
+        measurePanel.addEventListener('beforexrselect', (e) => e.preventDefault());
+        document.getElementById('toggleMeasure').addEventListener('click', () => this.toggleMeasureMode());
+        document.getElementById('measureUnits').addEventListener('click', () => this.toggleUnits());
+        document.getElementById('measureUndo').addEventListener('click', () => {
+            this.measureTool.undo();
+            this.updateMeasureUI();
+        });
+        document.getElementById('measureClear').addEventListener('click', () => {
+            this.measureTool.clear();
+            this.updateMeasureUI();
+        });
+        
+        // Complete the room
+        document.getElementById('completeRoom').addEventListener('beforexrselect', (e) => e.preventDefault());
+        
+        // Snap beside
+        document.getElementById('toggleSnap').addEventListener('click', () => this.toggleSnapMode());
+        
         // Toggle catalog
         document.getElementById('toggleCatalog').addEventListener('click', () => this.toggleCatalog());
         document.getElementById('closeCatalog').addEventListener('click', () => this.hideCatalog());
         
-        // Checkout
+        // Selection toolbar
+        const selectionToolbar = document.getElementById('selectionToolbar');
+        // Keep toolbar taps from also firing an XR select (which would place a product)
+        selectionToolbar.addEventListener('beforexrselect', (e) => e.preventDefault());
+        document.getElementById('rotateLeft').addEventListener('click', () => this.rotateSelectedProduct(Math.PI / 8));
+        document.getElementById('rotateRight').addEventListener('click', () => this.rotateSelectedProduct(-Math.PI / 8));
+        document.getElementById('scaleDown').addEventListener('click', () => this.scaleSelectedProduct(1 / 1.1));
+        document.getElementById('scaleUp').addEventListener('click', () => this.scaleSelectedProduct(1.1));
+        document.getElementById('deleteProduct').addEventListener('click', () => this.deleteSelectedProduct());
+        document.getElementById('deselectProduct').addEventListener('click', () => this.deselectProduct());
+        
+        // Cart & checkout
+        document.getElementById('toggleCart').addEventListener('click', () => this.toggleCartPanel());
+        
+        // Order history
+        document.getElementById('toggleOrders').addEventListener('click', () => this.toggleOrderPanel());
+        document.getElementById('closeOrders').addEventListener('click', () => this.toggleOrderPanel(false));
         document.getElementById('checkoutBtn').addEventListener('click', () => this.showPaymentModal());
         
         // Close modals
         document.querySelectorAll('.close-modal, .toast-close').forEach(btn => {
             btn.addEventListener('click', () => {
+                // Closing checkout mid-authentication backs out of it
+                this.pendingPaymentAction?.(false);
                 document.getElementById('paymentModal').classList.remove('show');
                 document.getElementById('errorToast').classList.remove('show');
                 document.getElementById('successToast').classList.remove('show');
@@ -645,6 +874,11 @@ async checkWebXRSupport() {
     }
     
     async startAR() {
+        if (!this.webxrSupported) {
+            this.startPreview();
+            return;
+        }
+        
         try {
             document.getElementById('startScreen').style.display = 'none';
             document.getElementById('arInterface').style.display = 'block';
@@ -662,29 +896,155 @@ async checkWebXRSupport() {
             this.isSessionActive = true;
             this.analytics.sessionStart = Date.now();
             
+            // 'anchors' is optional, so only use it when the session granted it
+            this.anchorsSupported = session.enabledFeatures ?
+                session.enabledFeatures.includes('anchors') :
+                typeof XRFrame !== 'undefined' && typeof XRFrame.prototype.createAnchor === 'function';
+            
             // Setup hit testing
             const viewerSpace = await session.requestReferenceSpace('viewer');
             this.hitTestSource = await session.requestHitTestSource({ space: viewerSpace });
             
-            // Setup select handler
+            // Touch hit testing for dragging selected products (optional)
+            if (typeof session.requestHitTestSourceForTransientInput === 'function') {
+                try {
+                    this.transientHitTestSource = await session.requestHitTestSourceForTransientInput({
+                        profile: 'generic-touchscreen'
+                    });
+                } catch (e) {
+                    console.warn('Transient input hit testing unavailable:', e);
+                }
+            }
+            
+            // Setup select handlers
             session.addEventListener('select', (event) => this.onSelect(event));
+            session.addEventListener('selectstart', (event) => this.onSelectStart(event));
+            session.addEventListener('selectend', () => this.endDrag());
             
             // Start render loop
             this.renderer.setAnimationLoop((timestamp, frame) => this.render(timestamp, frame));
             
             // Populate catalog
             this.populateCatalog();
+            this.updateRecommendations();
             
             // Show success toast
-            this.showToast('AR session started successfully!', 'success');
+            this.showToast(this.t('toast.arStarted'), 'success');
             
         } catch (error) {
             console.error('Failed to start AR:', error);
-            this.showError(`Failed to start AR: ${error.message}`);
+            this.showError(this.t('toast.arFailed', { error: error.message }));
             this.endSession();
         }
     }
     
+    startPreview() {
+        document.getElementById('startScreen').style.display = 'none';
+        document.getElementById('arInterface').style.display = 'block';
+        
+        this.isPreviewMode = true;
+        this.isSessionActive = true;
+        this.analytics.sessionStart = Date.now();
+        
+        // Show the virtual floor
+        this.scene.background = new THREE.Color(0x1a1a2e);
+        this.floor.visible = true;
+        this.floorGrid.position.y = 0.001;
+        this.floorGrid.visible = true;
+        
+        // Orbit camera around the floor origin
+        this.camera.position.set(0, 1.4, 2.2);
+        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.controls.target.set(0, 0.3, 0);
+        this.controls.enableDamping = true;
+        this.controls.maxPolarAngle = Math.PI / 2 - 0.05;
+        this.controls.minDistance = 0.5;
+        this.controls.maxDistance = 8;
+        this.controls.update();
+        
+        // Reticle starts at the floor origin and follows the pointer
+        this.reticle.matrix.identity();
+        this.reticle.visible = true;
+        
+        const canvas = this.renderer.domElement;
+        this.previewListeners = {
+            pointerdown: (e) => this.onPreviewPointerDown(e),
+            pointermove: (e) => this.onPreviewPointerMove(e),
+            pointerup: (e) => this.onPreviewPointerUp(e)
+        };
+        Object.entries(this.previewListeners).forEach(([type, listener]) => {
+            canvas.addEventListener(type, listener);
+        });
+        
+        // Instructions for mouse/touch instead of device movement
+        const instructions = document.getElementById('instructions');
+        if (instructions) {
+            instructions.querySelector('.instruction-item span').textContent = this.t('instructions.orbit');
+        }
+        
+        this.renderer.setAnimationLoop((timestamp, frame) => this.render(timestamp, frame));
+        this.populateCatalog();
+        this.updateRecommendations();
+        
+        this.showToast(this.t('toast.previewStarted'), 'success');
+    }
+    
+    getPointerNDC(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        return new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+    }
+    
+    getFloorPoint(event) {
+        // Raycast from the pointer onto the virtual floor
+        this.raycaster.setFromCamera(this.getPointerNDC(event), this.camera);
+        const hit = this.raycaster.intersectObject(this.floor)[0];
+        return hit ? hit.point : null;
+    }
+    
+    onPreviewPointerDown(event) {
+        this.pointerDown = { x: event.clientX, y: event.clientY, time: Date.now() };
+        
+        // Pressing on the selected product starts a drag instead of an orbit
+        if (this.selectedProduct && this.pickProduct(event) === this.selectedProduct) {
+            this.dragState = { pointerId: event.pointerId, moved: false };
+            this.controls.enabled = false;
+        }
+    }
+    
+    onPreviewPointerMove(event) {
+        const point = this.getFloorPoint(event);
+        if (!point) return;
+        
+        if (this.dragState) {
+            this.moveSelectedProduct(point);
+            return;
+        }
+        
+        this.reticle.matrix.makeTranslation(point.x, 0, point.z);
+    }
+    
+    onPreviewPointerUp(event) {
+        if (this.dragState) {
+            this.endDrag();
+            if (this.controls) this.controls.enabled = true;
+        }
+        
+        if (!this.pointerDown) return;
+        
+        // Treat short, stationary presses as taps; anything else was an orbit drag
+        const moved = Math.hypot(event.clientX - this.pointerDown.x, event.clientY - this.pointerDown.y);
+        const isTap = moved < 6 && Date.now() - this.pointerDown.time < 500;
+        this.pointerDown = null;
+        
+        if (isTap) {
+            this.onPreviewPointerMove(event);
+            this.onSelect(event);
+        }
+    }
+    
     async render(timestamp, frame) {
         // Update FPS counter
         this.frameCount++;
@@ -708,7 +1068,7 @@ async checkWebXRSupport() {
         document.getElementById('statSessionTime').textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
         
         // Update product count
-        document.querySelector('.product-count').textContent = `${this.products.length} Products`;
+        document.querySelector('.product-count').textContent = this.t('common.products', { count: this.products.length });
         
         if (frame && this.hitTestSource) {
             const referenceSpace = this.renderer.xr.getReferenceSpace();
@@ -726,83 +1086,129 @@ async checkWebXRSupport() {
             } else {
                 this.reticle.visible = false;
             }
+            
+            this.processAnchorRequests(frame, hitTestResults[0], referenceSpace);
+            this.updateAnchoredProducts(frame, referenceSpace);
+        }
+        
+        // Drag the selected product along the hit-test plane
+        if (frame && this.dragState?.inputSource) {
+            this.updateDrag(frame);
+        }
+        
+        if (this.selectionHelper) {
+            this.selectionHelper.update();
+        }
+        
+        this.lighting.update();
+        
+        // Rubber-band segment from the last measure point to the reticle
+        this.measureTool.update(this.reticle.visible ?
+            new THREE.Vector3().setFromMatrixPosition(this.reticle.matrix) : null);
+        
+        // Re-check fit after anything moved, and keep warning outlines attached
+        if (this.collisionsDirty) {
+            this.checkCollisions();
+        }
+        this.collisionHelpers.forEach(helper => helper.update());
+        
+        if (this.controls) {
+            this.controls.update();
         }
         
         // Update product labels position
         this.updateProductLabels();
+        this.updateLoadingIndicators();
         
         this.renderer.render(this.scene, this.camera);
     }
     
-    handleInput(text) {
+    handleInput(text, { preview = false } = {}) {
         if (!text.trim()) return;
         
-        // Add to conversation history
-        this.conversationContext.push(text.toLowerCase());
-        this.conversationHistory.push({
-            type: 'user',
-            content: text,
-            timestamp: Date.now()
-        });
-        
-        // Update user profile with search history
-        if (this.userProfile) {
-            this.userProfile.history.searched.push({
-                query: text,
+        if (!preview) {
+            // Add to conversation history
+            this.conversationContext.push(text.toLowerCase());
+            this.conversationHistory.push({
+                type: 'user',
+                content: text,
                 timestamp: Date.now()
             });
-            localStorage.setItem('arplacementai_user', JSON.stringify(this.userProfile));
+            
+            // Update user profile with search history
+            if (this.userProfile) {
+                this.userProfile.history.searched.push({
+                    query: text,
+                    timestamp: Date.now()
+                });
+                localStorage.setItem('arplacementai_user', JSON.stringify(this.userProfile));
+            }
         }
         
-        // AI analyzes context and suggests products
-        const suggestions = this.aiEngine.analyzeContext(
-            text.toLowerCase(), 
+        // AI analyzes the turn; follow-ups refine the previous suggestions
+        const { suggestions, followUp, refinement, interpretation } = this.aiEngine.analyzeTurn(
+            text.toLowerCase(),
             this.productCatalog,
-            this.userProfile
+            this.userProfile,
+            this.dialogue,
+            { dryRun: preview }
         );
         
         const suggestionsDiv = document.getElementById('aiSuggestions');
+        // How the query was read back to the user, e.g. "cheaper · under $299.98 · not ToolTech"
+        const understood = [refinement, interpretation].filter(Boolean).join(' · ');
         const confidenceBar = document.querySelector('.confidence-bar');
         const confidenceValue = document.querySelector('.confidence-value');
         
         if (suggestions.length > 0) {
             const topSuggestion = suggestions[0];
+            const alternatives = suggestions.slice(0, 5);
             
             // Update confidence display
             const confidencePercent = Math.round(topSuggestion.confidence * 100);
             confidenceBar.style.width = `${confidencePercent}%`;
             confidenceValue.textContent = `${confidencePercent}%`;
             
-            // Display suggestion
+            // Ranked alternatives, each with why it was picked; nothing is placed until the user chooses
             suggestionsDiv.innerHTML = `
-                <div class="suggestion-item">
-                    <i class="fas fa-lightbulb"></i>
-                    <strong>AI suggests:</strong> ${topSuggestion.product.name}
-                    <span class="suggestion-confidence">(${confidencePercent}% match)</span>
-                </div>
-                <div class="suggestion-details">
-                    ${topSuggestion.product.description}
-                    <div class="suggestion-price">$${topSuggestion.product.price}</div>
+                ${understood ? `<div class="suggestion-refinement"><i class="fas fa-filter"></i> ${understood}</div>` : ''}
+                <div class="suggestion-list">
+                    ${alternatives.map((suggestion, rank) => this.renderSuggestionCard(suggestion, rank)).join('')}
                 </div>
             `;
             
-            // Auto-suggest placement after 2 seconds if reticle is visible
-            setTimeout(() => {
-                if (this.reticle.visible && this.isSessionActive) {
-                    this.placeProduct(topSuggestion.product);
-                }
-            }, 2000);
-            
-            // Send analytics to brand API
-            this.brandAPI.trackSuggestion({
-                query: text,
-                suggestedProduct: topSuggestion.product.id,
-                confidence: topSuggestion.confidence,
-                timestamp: Date.now()
+            suggestionsDiv.querySelectorAll('.place-suggestion').forEach(button => {
+                button.addEventListener('click', () => this.placeSuggestion(button.dataset.product));
             });
             
+            if (!preview) {
+                // Send analytics to brand API
+                this.brandAPI.trackSuggestion({
+                    query: text,
+                    suggestedProduct: topSuggestion.product.id,
+                    alternatives: alternatives.slice(1).map(s => s.product.id),
+                    confidence: topSuggestion.confidence,
+                    reasons: topSuggestion.reasons.map(r => r.text),
+                    // Audit trail: which merchandising rules moved each ranked product
+                    firedRules: alternatives.map(s => ({
+                        productId: s.product.id,
+                        rules: (s.breakdown.rules?.audit || []).map(rule => rule.id)
+                    })),
+                    followUp: Boolean(followUp),
+                    timestamp: Date.now()
+                });
+            }
+            
+        } else if (followUp) {
+            suggestionsDiv.textContent = this.t('chat.nothingLeft', { understood });
+            confidenceBar.style.width = '0%';
+            confidenceValue.textContent = '--%';
+        } else if (interpretation) {
+            suggestionsDiv.textContent = this.t('chat.noMatch', { interpretation });
+            confidenceBar.style.width = '0%';
+            confidenceValue.textContent = '--%';
         } else {
-            suggestionsDiv.textContent = 'Try describing what you need... (e.g., "I need coffee", "My back hurts", "Help me fix something")';
+            suggestionsDiv.textContent = this.t('chat.hint');
             confidenceBar.style.width = '0%';
             confidenceValue.textContent = '--%';
         }
@@ -812,47 +1218,127 @@ async checkWebXRSupport() {
             suggestions.length > 0 ? `${Math.round(suggestions[0].confidence * 100)}%` : '--%';
     }
     
-    async placeProduct(productData) {
-        try {
-            let productMesh;
+    renderSuggestionCard(suggestion, rank) {
+        const { product } = suggestion;
+        const confidencePercent = Math.round(suggestion.confidence * 100);
+        
+        return `
+            <div class="suggestion-card ${rank === 0 ? 'top' : ''}">
+                <div class="suggestion-item">
+                    ${rank === 0 ? '<i class="fas fa-lightbulb"></i>' : `<span class="suggestion-rank">${rank + 1}</span>`}
+                    <strong>${product.name}</strong>
+                    <span class="suggestion-confidence">(${this.t('chat.match', { percent: confidencePercent })})</span>
+                </div>
+                <div class="suggestion-price">${this.formatPrice(product)}</div>
+                <ul class="suggestion-reasons">
+                    ${suggestion.reasons.slice(0, 3).map(reason => `
+                        <li class="${reason.impact < 0 ? 'negative' : ''}">${reason.text}</li>
+                    `).join('')}
+                </ul>
+                <button class="place-suggestion" data-product="${product.id}">
+                    <i class="fas fa-cube"></i> ${this.t('chat.placeSuggestion')}
+                </button>
+            </div>
+        `;
+    }
+    
+    placeSuggestion(productId) {
+        const product = this.productCatalog.find(p => p.id === productId);
+        if (!product) return;
+        
+        if (!this.reticle.visible) {
+            this.showToast(this.t('toast.needSurface'), 'error');
+            return;
+        }
+        
+        // Later taps and follow-ups ("something cheaper") refer to the chosen product
+        this.dialogue.select(productId);
+        this.placeProduct(product);
+    }
+    
+    async placeProduct(productData, options = {}) {
+        // Capture the placement pose now; the reticle keeps moving while the model loads
+        const placementMatrix = options.position ?
+            new THREE.Matrix4().makeTranslation(options.position) :
+            this.reticle.matrix.clone();
+        const anchorPromise = this.requestAnchor(placementMatrix);
+        
+        let productMesh;
+        let modelSize = null;
+        let loadError = null;
+        
+        // Try to load 3D model, showing a ghost with progress meanwhile
+        if (productData.modelUrl) {
+            const loading = this.showLoadingIndicator(productData, placementMatrix);
             
-            // Try to load 3D model
-            if (productData.modelUrl) {
-                productMesh = await this.loadModel(productData.modelUrl);
-                productMesh.scale.set(productData.scale || 1, productData.scale || 1, productData.scale || 1);
-            } else {
-                // Fallback to primitive geometry
-                const geometry = new THREE.BoxGeometry(
-                    productData.dimensions?.x || 0.1,
-                    productData.dimensions?.y || 0.1,
-                    productData.dimensions?.z || 0.1
-                );
-                const material = new THREE.MeshPhongMaterial({ 
-                    color: typeof productData.colors?.[0] === 'string' ? 
-                        new THREE.Color(productData.colors[0]) : 0x00ff88
+            try {
+                productMesh = await this.modelCache.acquire(productData.modelUrl, {
+                    signal: loading.controller.signal,
+                    onProgress: (progress) => this.updateLoadingIndicator(loading, progress)
                 });
-                productMesh = new THREE.Mesh(geometry, material);
+                modelSize = productMesh.userData.modelSize;
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    anchorPromise.then(anchor => anchor?.delete());
+                    this.trackInteraction(productData.id, 'cancel_load');
+                    this.showToast(this.t('toast.loadCancelled', { name: productData.name }), 'error');
+                    return null;
+                }
+                
+                console.error(`Failed to load model for ${productData.name}:`, error);
+                loadError = error;
+            } finally {
+                this.hideLoadingIndicator(loading);
+            }
+        }
+        
+        try {
+            if (!productMesh) {
+                productMesh = this.createPrimitiveMesh(productData, Boolean(loadError));
             }
             
             // Position at reticle
-            productMesh.position.setFromMatrixPosition(this.reticle.matrix);
+            productMesh.position.setFromMatrixPosition(placementMatrix);
             
             // Add user data
             productMesh.userData = {
                 productId: productData.id,
                 productData: productData,
                 placedAt: Date.now(),
-                interactions: 0
+                interactions: 0,
+                isPlaceholder: Boolean(loadError),
+                modelSize,
+                baseScale: new THREE.Vector3(1, 1, 1),
+                userScale: options.userScale ?? 1,
+                color: null
             };
             
-            // Add physics-like rotation
-            productMesh.rotation.y = Math.random() * Math.PI * 2;
+            // Add physics-like rotation (or the saved one when restoring a layout)
+            productMesh.rotation.y = options.rotationY ?? Math.random() * Math.PI * 2;
+            
+            if (options.color) {
+                this.applyProductColor(productMesh, options.color);
+            }
+            
+            // Ground the product visually
+            const localBounds = this.getLocalBounds(productMesh);
+            productMesh.userData.localBounds = localBounds;
+            this.lighting.addContactShadow(productMesh, localBounds);
+            this.createDimensionReadout(productMesh, localBounds);
+            this.applyProductScale(productMesh);
+            
+            // Optionally place flush against the product it would overlap
+            if (options.snap ?? this.snapBeside) {
+                this.snapBesideNeighbour(productMesh);
+            }
             
             this.scene.add(productMesh);
             this.products.push(productMesh);
+            this.attachAnchor(productMesh, anchorPromise);
             
             // Create interactive label
             this.createProductLabel(productMesh, productData);
+            this.checkCollisions();
             
             // Analytics
             this.analytics.placements++;
@@ -865,98 +1351,848 @@ async checkWebXRSupport() {
             this.brandAPI.trackPlacement({
                 productId: productData.id,
                 placementTime: Date.now(),
-                position: productMesh.position.toArray()
+                position: productMesh.position.toArray(),
+                placeholder: Boolean(loadError),
+                error: loadError?.message
             });
             
             // Update UI
             this.updateAnalytics();
+            this.updateRecommendations();
+            
+            // Show success message, or warn when the model failed or it doesn't fit
+            const overlaps = productMesh.userData.collidesWith;
+            if (loadError) {
+                this.showToast(this.t('toast.modelFailed', { name: productData.name }), 'error');
+            } else if (overlaps.length > 0) {
+                this.showToast(this.t('toast.overlaps', { name: productData.name, others: overlaps.join(', ') }), 'error');
+            } else if (!options.quiet) {
+                this.showToast(this.t('toast.placed', { name: productData.name }), 'success');
+            }
             
-            // Show success message
-            this.showToast(`${productData.name} placed successfully!`, 'success');
+            return productMesh;
             
         } catch (error) {
             console.error('Failed to place product:', error);
-            this.showToast('Failed to place product. Trying fallback...', 'error');
-            
-            // Fallback: Create simple placeholder
-            const geometry = new THREE.BoxGeometry(0.1, 0.1, 0.1);
-            const material = new THREE.MeshPhongMaterial({ color: 0xff0000 });
-            const placeholder = new THREE.Mesh(geometry, material);
-            placeholder.position.setFromMatrixPosition(this.reticle.matrix);
-            
-            placeholder.userData = {
-                productId: productData.id,
-                productData: productData,
-                isPlaceholder: true
-            };
-            
-            this.scene.add(placeholder);
-            this.products.push(placeholder);
+            this.showToast(this.t('toast.placeFailed', { name: productData.name }), 'error');
+            anchorPromise.then(anchor => anchor?.delete());
+            return null;
         }
     }
     
-    async loadModel(url) {
-        return new Promise((resolve, reject) => {
-            this.gltfLoader.load(
-                url,
-                (gltf) => {
-                    const model = gltf.scene;
-
-                    // Traverse and setup materials
-                    model.traverse((child) => {
-                        if (child.isMesh) {
-                            child.castShadow = true;
-                            child.receiveShadow = true;
-
-                            // Improve material appearance
-                            if (child.material) {
-                                child.material.roughness = 0.8;
-                                child.material.metalness = 0.2;
-                            }
-                        }
-                    });
-
-                    // Center the model
-                    const box = new THREE.Box3().setFromObject(model);
-                    const center = box.getCenter(new THREE.Vector3());
-                    model.position.sub(center);
-
-                    resolve(model);
-                },
-                (progress) => {
-                    // Loading progress
-                    if (progress.total > 0) {
-                        const percent = (progress.loaded / progress.total * 100);
-                        if (percent <= 100) {
-                            console.log(`Loading model: ${percent.toFixed(1)}%`);
-                        } else {
-                            console.log(`Loading model: ${(progress.loaded / 1024).toFixed(0)} KB`);
-                        }
-                    } else {
-                        console.log(`Loading model: ${(progress.loaded / 1024).toFixed(0)} KB`);
-                    }
-                },
-                (error) => {
-                    reject(error);
-                }
-            );
+    createPrimitiveMesh(productData, isPlaceholder = false) {
+        // Box at the catalog dimensions, resting on its base
+        const width = productData.dimensions?.x || 0.1;
+        const height = productData.dimensions?.y || 0.1;
+        const depth = productData.dimensions?.z || 0.1;
+        const geometry = new THREE.BoxGeometry(width, height, depth).translate(0, height / 2, 0);
+        
+        // Placeholders for failed model loads are red so they aren't mistaken for the product
+        const material = new THREE.MeshPhongMaterial({ 
+            color: isPlaceholder ? 0xff4444 :
+                typeof productData.colors?.[0] === 'string' ? new THREE.Color(productData.colors[0]) : 0x00ff88,
+            transparent: isPlaceholder,
+            opacity: isPlaceholder ? 0.7 : 1
         });
+        return new THREE.Mesh(geometry, material);
     }
     
-    createProductLabel(productMesh, productData) {
-        const label = document.createElement('div');
-        label.className = 'product-label';
-        label.innerHTML = `
-            <div class="product-label-header">
-                <div>
-                    <div class="product-label-name">${productData.name}</div>
-                    <div class="product-label-brand">${productData.brand}</div>
-                </div>
-                <div class="product-label-price">$${productData.price}</div>
-            </div>
-            <div class="product-label-actions">
-                <button class="btn-add-to-cart" data-product="${productData.id}">
-                    <i class="fas fa-cart-plus"></i>
+    showLoadingIndicator(productData, placementMatrix) {
+        // Ghost box at the placement point, sized like the product
+        const width = productData.dimensions?.x || 0.2;
+        const height = productData.dimensions?.y || 0.2;
+        const depth = productData.dimensions?.z || 0.2;
+        const geometry = new THREE.BoxGeometry(width, height, depth).translate(0, height / 2, 0);
+        
+        const ghost = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            color: 0x00ccff,
+            transparent: true,
+            opacity: 0.15,
+            depthWrite: false
+        }));
+        ghost.add(new THREE.LineSegments(
+            new THREE.EdgesGeometry(geometry),
+            new THREE.LineBasicMaterial({ color: 0x00ccff })
+        ));
+        ghost.position.setFromMatrixPosition(placementMatrix);
+        this.scene.add(ghost);
+        
+        // Screen-space progress ring with a cancel button
+        const element = document.createElement('div');
+        element.className = 'loading-indicator';
+        element.innerHTML = `
+            <svg class="loading-ring" viewBox="0 0 36 36">
+                <circle class="loading-ring-track" cx="18" cy="18" r="16"></circle>
+                <circle class="loading-ring-progress" cx="18" cy="18" r="16" stroke-dasharray="0 100.53"></circle>
+            </svg>
+            <span class="loading-percent">0%</span>
+            <span class="loading-name">${productData.name}</span>
+            <button class="loading-cancel" title="${this.t('loading.cancel')}">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+        element.addEventListener('beforexrselect', (e) => e.preventDefault());
+        document.getElementById('arInterface').appendChild(element);
+        
+        const loading = {
+            ghost,
+            element,
+            productData,
+            controller: new AbortController()
+        };
+        element.querySelector('.loading-cancel').addEventListener('click', (e) => {
+            e.stopPropagation();
+            loading.controller.abort();
+        });
+        
+        this.pendingPlacements.add(loading);
+        return loading;
+    }
+    
+    updateLoadingIndicator(loading, { loaded, total }) {
+        const ring = loading.element.querySelector('.loading-ring-progress');
+        const label = loading.element.querySelector('.loading-percent');
+        
+        // Compressed responses can report a total smaller than the bytes received
+        if (total > 0 && loaded <= total) {
+            const percent = loaded / total * 100;
+            ring.setAttribute('stroke-dasharray', `${(percent / 100 * 100.53).toFixed(2)} 100.53`);
+            label.textContent = `${Math.round(percent)}%`;
+            loading.element.classList.remove('indeterminate');
+        } else {
+            label.textContent = `${(loaded / 1024).toFixed(0)} KB`;
+            loading.element.classList.add('indeterminate');
+        }
+    }
+    
+    hideLoadingIndicator(loading) {
+        this.pendingPlacements.delete(loading);
+        loading.element.remove();
+        this.scene.remove(loading.ghost);
+        this.disposeObject(loading.ghost);
+    }
+    
+    updateLoadingIndicators() {
+        this.pendingPlacements.forEach(({ ghost, element }) => {
+            const screen = this.projectToScreen(ghost.position);
+            element.style.display = screen ? 'flex' : 'none';
+            if (screen) {
+                element.style.left = `${screen.x}px`;
+                element.style.top = `${screen.y}px`;
+            }
+        });
+    }
+    
+    projectToScreen(worldPosition) {
+        // Screen coordinates of a world point, or null when it's behind the camera / off screen
+        const projected = worldPosition.clone().project(this.camera);
+        const x = (projected.x * 0.5 + 0.5) * window.innerWidth;
+        const y = (-(projected.y * 0.5) + 0.5) * window.innerHeight;
+        
+        if (projected.z >= 1 || x < -50 || x > window.innerWidth + 50 || y < -50 || y > window.innerHeight + 50) {
+            return null;
+        }
+        return { x, y };
+    }
+    
+    getPlacementScale(productData, modelSize) {
+        // Primitives are built from the catalog dimensions, so they are already true size
+        if (!modelSize) return new THREE.Vector3(1, 1, 1);
+        
+        const dimensions = productData.dimensions;
+        if (this.scaleMode === 'true' && dimensions && modelSize.x > 0 && modelSize.y > 0 && modelSize.z > 0) {
+            // Stretch the model's bounding box to the declared real-world size (metres)
+            return new THREE.Vector3(
+                dimensions.x / modelSize.x,
+                dimensions.y / modelSize.y,
+                dimensions.z / modelSize.z
+            );
+        }
+        
+        return new THREE.Vector3().setScalar(productData.scale || 1);
+    }
+    
+    applyProductScale(productMesh) {
+        const { productData, modelSize, userScale } = productMesh.userData;
+        const baseScale = this.getPlacementScale(productData, modelSize);
+        
+        // User resizing only applies in showcase mode; true size stays true
+        productMesh.userData.baseScale.copy(baseScale);
+        productMesh.scale.copy(baseScale).multiplyScalar(this.scaleMode === 'true' ? 1 : userScale);
+        
+        this.updateDimensionReadout(productMesh);
+        this.collisionsDirty = true;
+    }
+    
+    toggleScaleMode() {
+        this.scaleMode = this.scaleMode === 'true' ? 'showcase' : 'true';
+        this.userPreferences.scaleMode = this.scaleMode;
+        this.saveUserPreferences();
+        
+        this.products.forEach(product => this.applyProductScale(product));
+        
+        document.querySelector('.scale-mode-label').textContent = this.t(this.scaleMode === 'true' ? 'ar.scaleTrue' : 'ar.scaleShowcase');
+        this.showToast(this.t(this.scaleMode === 'true' ? 'toast.scaleTrue' : 'toast.scaleShowcase'), 'success');
+    }
+    
+    toggleSnapMode() {
+        this.snapBeside = !this.snapBeside;
+        this.userPreferences.snapBeside = this.snapBeside;
+        this.saveUserPreferences();
+        
+        document.getElementById('toggleSnap').classList.toggle('active', this.snapBeside);
+        this.showToast(this.t(this.snapBeside ? 'toast.snapOn' : 'toast.snapOff'), 'success');
+    }
+    
+    getProductFootprint(productMesh) {
+        // Oriented box: footprint rectangle on the floor plus a vertical extent
+        const { userData } = productMesh;
+        if (!userData.localBounds) {
+            userData.localBounds = this.getLocalBounds(productMesh);
+        }
+        
+        const bounds = userData.localBounds;
+        productMesh.updateMatrixWorld(true);
+        
+        const center = productMesh.localToWorld(bounds.getCenter(new THREE.Vector3()));
+        const half = bounds.getSize(new THREE.Vector3()).multiply(productMesh.scale).multiplyScalar(0.5);
+        
+        // Products only turn around Y, so project their local X axis onto the floor
+        const quaternion = productMesh.getWorldQuaternion(new THREE.Quaternion());
+        const axisX = new THREE.Vector3(1, 0, 0).applyQuaternion(quaternion);
+        const axis = new THREE.Vector2(axisX.x, axisX.z).normalize();
+        
+        return {
+            center: new THREE.Vector2(center.x, center.z),
+            axes: [axis, new THREE.Vector2(-axis.y, axis.x)],
+            half: [half.x, half.z],
+            minY: center.y - half.y,
+            maxY: center.y + half.y
+        };
+    }
+    
+    footprintsOverlap(a, b, tolerance = 0.005) {
+        if (a.maxY - tolerance <= b.minY || b.maxY - tolerance <= a.minY) return false;
+        
+        // Separating axis test between the two floor rectangles
+        const offset = new THREE.Vector2().subVectors(b.center, a.center);
+        const radius = (footprint, axis) =>
+            footprint.half[0] * Math.abs(footprint.axes[0].dot(axis)) +
+            footprint.half[1] * Math.abs(footprint.axes[1].dot(axis));
+        
+        return [...a.axes, ...b.axes].every(axis =>
+            Math.abs(offset.dot(axis)) < radius(a, axis) + radius(b, axis) - tolerance
+        );
+    }
+    
+    checkCollisions() {
+        this.collisionsDirty = false;
+        
+        const footprints = this.products.map(product => this.getProductFootprint(product));
+        const overlaps = this.products.map(() => []);
+        
+        for (let i = 0; i < this.products.length; i++) {
+            for (let j = i + 1; j < this.products.length; j++) {
+                if (this.footprintsOverlap(footprints[i], footprints[j])) {
+                    overlaps[i].push(this.products[j].userData.productData.name);
+                    overlaps[j].push(this.products[i].userData.productData.name);
+                }
+            }
+        }
+        
+        this.products.forEach((product, index) => {
+            product.userData.collidesWith = overlaps[index];
+            this.setCollisionWarning(product, overlaps[index].length > 0);
+        });
+    }
+    
+    setCollisionWarning(productMesh, isColliding) {
+        const labelData = this.productLabels.get(productMesh.uuid);
+        if (labelData) labelData.element.classList.toggle('colliding', isColliding);
+        
+        const helper = this.collisionHelpers.get(productMesh.uuid);
+        if (isColliding && !helper) {
+            const outline = new THREE.BoxHelper(productMesh, 0xff4444);
+            this.scene.add(outline);
+            this.collisionHelpers.set(productMesh.uuid, outline);
+        } else if (!isColliding && helper) {
+            this.removeCollisionHelper(productMesh.uuid);
+        }
+    }
+    
+    removeCollisionHelper(uuid) {
+        const helper = this.collisionHelpers.get(uuid);
+        if (!helper) return;
+        
+        this.scene.remove(helper);
+        helper.geometry.dispose();
+        helper.material.dispose();
+        this.collisionHelpers.delete(uuid);
+    }
+    
+    snapBesideNeighbour(productMesh) {
+        const footprint = this.getProductFootprint(productMesh);
+        const neighbour = this.products
+            .filter(product => this.footprintsOverlap(footprint, this.getProductFootprint(product)))
+            .sort((a, b) => a.position.distanceTo(productMesh.position) - b.position.distanceTo(productMesh.position))[0];
+        if (!neighbour) return false;
+        
+        // Line up with the neighbour, then work in its local frame
+        productMesh.quaternion.copy(neighbour.quaternion);
+        const inverse = neighbour.quaternion.clone().invert();
+        const target = productMesh.position.clone().sub(neighbour.position).applyQuaternion(inverse);
+        
+        const box = neighbour.userData.localBounds;
+        const own = productMesh.userData.localBounds;
+        const ns = neighbour.scale;
+        const ps = productMesh.scale;
+        const gap = 0.01;
+        
+        // Flush against each of the neighbour's four sides
+        const candidates = [
+            new THREE.Vector3(box.max.x * ns.x - own.min.x * ps.x + gap, target.y, target.z),
+            new THREE.Vector3(box.min.x * ns.x - own.max.x * ps.x - gap, target.y, target.z),
+            new THREE.Vector3(target.x, target.y, box.max.z * ns.z - own.min.z * ps.z + gap),
+            new THREE.Vector3(target.x, target.y, box.min.z * ns.z - own.max.z * ps.z - gap)
+        ].sort((a, b) => a.distanceTo(target) - b.distanceTo(target));
+        
+        const original = productMesh.position.clone();
+        for (const candidate of candidates) {
+            productMesh.position.copy(candidate.applyQuaternion(neighbour.quaternion).add(neighbour.position));
+            const moved = this.getProductFootprint(productMesh);
+            if (!this.products.some(product => this.footprintsOverlap(moved, this.getProductFootprint(product)))) {
+                return true;
+            }
+        }
+        
+        // No free side: leave it where it was dropped
+        productMesh.position.copy(original);
+        return false;
+    }
+    
+    toggleLayoutPanel(show) {
+        const panel = document.getElementById('layoutPanel');
+        const visible = panel.classList.toggle('show', show);
+        document.getElementById('toggleLayouts').classList.toggle('active', visible);
+        if (visible) {
+            this.toggleOrderPanel(false);
+            this.renderLayoutList();
+        }
+    }
+    
+    captureLayout(name) {
+        // Poses are stored relative to the arrangement's floor centre
+        const origin = new THREE.Vector3();
+        this.products.forEach(product => origin.add(product.position));
+        origin.divideScalar(this.products.length);
+        origin.y = Math.min(...this.products.map(product => product.position.y));
+        
+        return {
+            name,
+            savedAt: Date.now(),
+            items: this.products.map(product => ({
+                productId: product.userData.productId,
+                offset: product.position.clone().sub(origin).toArray().map(v => +v.toFixed(4)),
+                rotationY: +product.rotation.y.toFixed(4),
+                userScale: product.userData.userScale,
+                color: product.userData.color
+            }))
+        };
+    }
+    
+    saveLayout() {
+        if (this.products.length === 0) {
+            this.showToast(this.t('toast.layoutEmpty'), 'error');
+            return;
+        }
+        
+        const input = document.getElementById('layoutName');
+        const name = input.value.trim() || `Layout ${this.layoutStore.list().length + 1}`;
+        this.layoutStore.save(this.captureLayout(name));
+        input.value = '';
+        
+        this.renderLayoutList();
+        this.showToast(this.t('toast.layoutSaved', { name }), 'success');
+    }
+    
+    async placeLayout(layoutId) {
+        const layout = this.layoutStore.get(layoutId);
+        if (!layout) return;
+        
+        if (!this.isSessionActive || !this.reticle.visible) {
+            this.showToast(this.t('toast.needSurface'), 'error');
+            return;
+        }
+        
+        // Re-place the arrangement around the current reticle position
+        const origin = new THREE.Vector3().setFromMatrixPosition(this.reticle.matrix);
+        const missing = [];
+        
+        const placements = layout.items.map(item => {
+            const product = this.productCatalog.find(p => p.id === item.productId);
+            if (!product) {
+                missing.push(item.productId);
+                return null;
+            }
+            
+            return this.placeProduct(product, {
+                position: origin.clone().add(new THREE.Vector3().fromArray(item.offset)),
+                rotationY: item.rotationY,
+                userScale: item.userScale,
+                color: item.color,
+                snap: false,
+                quiet: true
+            });
+        });
+        
+        const placed = (await Promise.all(placements)).filter(Boolean);
+        this.toggleLayoutPanel(false);
+        
+        if (missing.length > 0) {
+            this.showToast(this.t('toast.layoutPartial', { placed: placed.length, total: layout.items.length, missing: missing.length }), 'error');
+        } else {
+            this.showToast(this.t('toast.layoutPlaced', { name: layout.name }), 'success');
+        }
+    }
+    
+    deleteLayout(layoutId) {
+        this.layoutStore.remove(layoutId);
+        this.renderLayoutList();
+    }
+    
+    exportLayout(layoutId) {
+        const layout = this.layoutStore.get(layoutId);
+        if (!layout) return;
+        
+        const blob = new Blob([this.layoutStore.serialize(layout)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${layout.name.replace(/[^a-z0-9-_]+/gi, '_')}.layout.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    async importLayout(file) {
+        try {
+            const layout = this.layoutStore.parse(await file.text());
+            this.layoutStore.save(layout);
+            this.renderLayoutList();
+            this.showToast(this.t('toast.layoutImported', { name: layout.name }), 'success');
+        } catch (error) {
+            console.error('Layout import failed:', error);
+            this.showToast(this.t('toast.layoutImportFailed', { error: error.message }), 'error');
+        }
+    }
+    
+    renderLayoutList() {
+        const list = document.getElementById('layoutList');
+        const layouts = this.layoutStore.list();
+        
+        if (layouts.length === 0) {
+            list.innerHTML = `<div class="layout-empty">${this.t('layouts.empty')}</div>`;
+            return;
+        }
+        
+        // Names come from imported files, so they go in as text rather than markup
+        list.innerHTML = layouts.map(layout => `
+            <div class="layout-item" data-layout="${layout.id}">
+                <div class="layout-info">
+                    <div class="item-name"></div>
+                    <div class="item-brand">${this.t('layouts.summary', { count: layout.items.length, date: new Date(layout.savedAt).toLocaleDateString(this.locale) })}</div>
+                </div>
+                <button class="icon-btn-small" data-action="place" title="${this.t('layouts.place')}">
+                    <i class="fas fa-crosshairs"></i>
+                </button>
+                <button class="icon-btn-small" data-action="export" title="${this.t('layouts.export')}">
+                    <i class="fas fa-file-export"></i>
+                </button>
+                <button class="icon-btn-small danger" data-action="delete" title="${this.t('layouts.delete')}">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
+        list.querySelectorAll('.layout-item .item-name').forEach((name, i) => {
+            name.textContent = layouts[i].name;
+        });
+        
+        list.querySelectorAll('.layout-item button').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const layoutId = e.currentTarget.closest('.layout-item').dataset.layout;
+                const action = e.currentTarget.dataset.action;
+                
+                if (action === 'place') this.placeLayout(layoutId);
+                if (action === 'export') this.exportLayout(layoutId);
+                if (action === 'delete') this.deleteLayout(layoutId);
+            });
+        });
+    }
+    
+    toggleMeasureMode() {
+        const active = !this.measureTool.active;
+        this.measureTool.setActive(active);
+        if (active) this.deselectProduct();
+        
+        document.getElementById('toggleMeasure').classList.toggle('active', active);
+        document.getElementById('measurePanel').classList.toggle('show', active);
+        this.updateMeasureUI();
+    }
+    
+    toggleUnits() {
+        this.units = this.units === 'metric' ? 'imperial' : 'metric';
+        this.userPreferences.units = this.units;
+        this.saveUserPreferences();
+        
+        document.querySelector('.measure-units-label').textContent = this.units === 'metric' ? 'm' : 'ft';
+        this.updateMeasureUI();
+    }
+    
+    formatLength(metres) {
+        if (this.units === 'imperial') {
+            const totalInches = metres / 0.0254;
+            const feet = Math.floor(totalInches / 12);
+            const inches = Math.round(totalInches - feet * 12);
+            // Rounding can carry 11.6" up to a whole foot
+            return inches === 12 ? `${feet + 1}' 0"` : `${feet}' ${inches}"`;
+        }
+        return metres < 1 ? `${Math.round(metres * 100)} cm` : `${metres.toFixed(2)} m`;
+    }
+    
+    productFitsFootprint(product, footprint) {
+        const { dimensions } = product;
+        if (!dimensions || !footprint) return false;
+        
+        // Products may be turned 90° to fit
+        return (dimensions.x <= footprint.width && dimensions.z <= footprint.depth) ||
+            (dimensions.z <= footprint.width && dimensions.x <= footprint.depth);
+    }
+    
+    updateMeasureUI() {
+        const results = document.getElementById('measureResults');
+        if (!results) return;
+        
+        const segments = this.measureTool.getSegmentLengths();
+        const footprint = this.measureTool.getFootprint();
+        const fitting = footprint ?
+            this.productCatalog.filter(product => this.productFitsFootprint(product, footprint)) : [];
+        
+        if (segments.length === 0) {
+            results.textContent = this.measureTool.points.length === 1 ?
+                this.t('measure.secondPoint') : this.t('measure.hint');
+        } else {
+            const total = segments.reduce((sum, length) => sum + length, 0);
+            results.innerHTML = `
+                ${segments.map((length, index) => `
+                    <div class="stat-row">
+                        <span class="stat-label">${this.t('measure.segment', { number: index + 1 })}</span>
+                        <span class="stat-value">${this.formatLength(length)}</span>
+                    </div>
+                `).join('')}
+                ${segments.length > 1 ? `
+                    <div class="stat-row">
+                        <span class="stat-label">${this.t('measure.total')}</span>
+                        <span class="stat-value">${this.formatLength(total)}</span>
+                    </div>
+                ` : ''}
+                <div class="stat-row">
+                    <span class="stat-label">${this.t('measure.footprint')}</span>
+                    <span class="stat-value">${this.formatLength(footprint.width)}${
+                        Number.isFinite(footprint.depth) ? ` × ${this.formatLength(footprint.depth)}` : ''}</span>
+                </div>
+                <div class="measure-fits">
+                    ${fitting.length > 0 ?
+                        `<i class="fas fa-check-circle"></i> ${this.t('measure.fits', { names: fitting.map(p => p.name).join(', ') })}` :
+                        this.t('measure.nothingFits')}
+                </div>
+            `;
+        }
+        
+        // Highlight fitting items in the catalog sidebar
+        const fittingIds = new Set(fitting.map(product => product.id));
+        document.querySelectorAll('.catalog-item').forEach(item => {
+            item.classList.toggle('fits', fittingIds.has(item.dataset.product));
+        });
+    }
+    
+    formatDimensions(dimensions) {
+        // Width x depth x height, in centimetres
+        const cm = value => Math.round(value * 100);
+        return `${cm(dimensions.x)} × ${cm(dimensions.z)} × ${cm(dimensions.y)} cm`;
+    }
+    
+    createDimensionReadout(productMesh, localBounds) {
+        const { dimensions } = productMesh.userData.productData;
+        if (!dimensions || localBounds.isEmpty()) return;
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 64;
+        
+        const context = canvas.getContext('2d');
+        context.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        context.beginPath();
+        context.roundRect(0, 0, 256, 64, 16);
+        context.fill();
+        context.fillStyle = '#00ff88';
+        context.font = 'bold 26px sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(this.formatDimensions(dimensions), 128, 32);
+        
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            depthTest: false,
+            transparent: true
+        }));
+        sprite.renderOrder = 10;
+        sprite.raycast = () => {}; // Not pickable
+        sprite.userData.isDimensionReadout = true;
+        sprite.userData.anchorPoint = new THREE.Vector3(
+            (localBounds.min.x + localBounds.max.x) / 2,
+            localBounds.max.y,
+            (localBounds.min.z + localBounds.max.z) / 2
+        );
+        
+        productMesh.add(sprite);
+        productMesh.userData.dimensionReadout = sprite;
+    }
+    
+    updateDimensionReadout(productMesh) {
+        const sprite = productMesh.userData.dimensionReadout;
+        if (!sprite) return;
+        
+        sprite.visible = this.scaleMode === 'true';
+        
+        // Undo the parent's (possibly non-uniform) scale so the readout keeps a fixed size
+        const parentScale = productMesh.scale;
+        sprite.scale.set(0.24 / parentScale.x, 0.06 / parentScale.y, 1);
+        sprite.position.copy(sprite.userData.anchorPoint);
+        sprite.position.y += 0.06 / parentScale.y;
+    }
+    
+    getLocalBounds(object) {
+        // Bounding box in the object's own space (ignores its position, rotation and scale)
+        const position = object.position.clone();
+        const quaternion = object.quaternion.clone();
+        const scale = object.scale.clone();
+        
+        object.position.set(0, 0, 0);
+        object.quaternion.identity();
+        object.scale.set(1, 1, 1);
+        object.updateMatrixWorld(true);
+        
+        const box = new THREE.Box3();
+        object.traverse(child => {
+            if (child.isMesh && !child.userData.isContactShadow) {
+                box.expandByObject(child);
+            }
+        });
+        
+        object.position.copy(position);
+        object.quaternion.copy(quaternion);
+        object.scale.copy(scale);
+        object.updateMatrixWorld(true);
+        
+        return box;
+    }
+    
+    requestAnchor(matrix) {
+        // Resolves to an XRAnchor, or null when anchors are unavailable (e.g. 3D preview)
+        if (!this.anchorsSupported || !this.isSessionActive || this.isPreviewMode) {
+            return Promise.resolve(null);
+        }
+        
+        // Anchors can only be created inside an XR frame, so queue for the next render()
+        return new Promise(resolve => {
+            this.anchorRequests.push({ matrix: matrix.clone(), resolve });
+        });
+    }
+    
+    processAnchorRequests(frame, hit, referenceSpace) {
+        if (this.anchorRequests.length === 0) return;
+        
+        const requests = this.anchorRequests;
+        this.anchorRequests = [];
+        
+        requests.forEach(({ matrix, resolve }) => {
+            const position = new THREE.Vector3();
+            const orientation = new THREE.Quaternion();
+            matrix.decompose(position, orientation, new THREE.Vector3());
+            
+            let anchorPromise;
+            
+            // Prefer anchoring to the tracked surface when the hit is still at the placement point
+            const hitPose = hit?.getPose(referenceSpace);
+            const hitPosition = hitPose && new THREE.Vector3(
+                hitPose.transform.position.x,
+                hitPose.transform.position.y,
+                hitPose.transform.position.z
+            );
+            
+            if (hitPosition && hitPosition.distanceTo(position) < 0.02 && typeof hit.createAnchor === 'function') {
+                anchorPromise = hit.createAnchor();
+            } else if (typeof frame.createAnchor === 'function') {
+                anchorPromise = frame.createAnchor(
+                    new XRRigidTransform(
+                        { x: position.x, y: position.y, z: position.z },
+                        { x: orientation.x, y: orientation.y, z: orientation.z, w: orientation.w }
+                    ),
+                    referenceSpace
+                );
+            }
+            
+            if (!anchorPromise) {
+                resolve(null);
+                return;
+            }
+            
+            anchorPromise.then(resolve).catch(error => {
+                console.warn('Failed to create anchor:', error);
+                resolve(null);
+            });
+        });
+    }
+    
+    attachAnchor(productMesh, anchorPromise) {
+        anchorPromise.then(anchor => {
+            if (!anchor) return;
+            
+            // Product was removed (or the session ended) before the anchor resolved
+            if (!this.products.includes(productMesh)) {
+                anchor.delete();
+                return;
+            }
+            
+            this.detachAnchor(productMesh);
+            this.productAnchors.set(productMesh.uuid, {
+                anchor,
+                mesh: productMesh,
+                lastMatrix: null
+            });
+        });
+    }
+    
+    detachAnchor(productMesh) {
+        const entry = this.productAnchors.get(productMesh.uuid);
+        if (!entry) return;
+        
+        entry.anchor.delete();
+        this.productAnchors.delete(productMesh.uuid);
+    }
+    
+    updateAnchoredProducts(frame, referenceSpace) {
+        if (this.productAnchors.size === 0) return;
+        
+        const anchorMatrix = new THREE.Matrix4();
+        const delta = new THREE.Matrix4();
+        
+        this.productAnchors.forEach(entry => {
+            if (frame.trackedAnchors && !frame.trackedAnchors.has(entry.anchor)) return;
+            
+            const pose = frame.getPose(entry.anchor.anchorSpace, referenceSpace);
+            if (!pose) return;
+            
+            anchorMatrix.fromArray(pose.transform.matrix);
+            
+            // Apply how far the anchor moved since last frame, preserving user moves/rotations
+            if (entry.lastMatrix) {
+                const { mesh } = entry;
+                delta.copy(entry.lastMatrix).invert().premultiply(anchorMatrix);
+                mesh.updateMatrix();
+                mesh.matrix.premultiply(delta);
+                mesh.matrix.decompose(mesh.position, mesh.quaternion, mesh.scale);
+                this.collisionsDirty = true;
+            } else {
+                entry.lastMatrix = new THREE.Matrix4();
+            }
+            entry.lastMatrix.copy(anchorMatrix);
+        });
+    }
+    
+    async loadModel(url, { onProgress, signal } = {}) {
+        // Fetch ourselves so downloads report progress and can be aborted
+        const response = await fetch(url, { signal });
+        if (!response.ok) {
+            throw new Error(`Model request failed (HTTP ${response.status})`);
+        }
+        
+        let data;
+        if (response.body) {
+            const total = Number(response.headers.get('Content-Length')) || 0;
+            const reader = response.body.getReader();
+            const chunks = [];
+            let loaded = 0;
+            
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                loaded += value.byteLength;
+                if (onProgress) onProgress({ loaded, total });
+            }
+            
+            data = new Uint8Array(loaded);
+            let offset = 0;
+            chunks.forEach(chunk => {
+                data.set(chunk, offset);
+                offset += chunk.byteLength;
+            });
+            data = data.buffer;
+        } else {
+            data = await response.arrayBuffer();
+        }
+        
+        // External buffers and textures resolve relative to the model URL
+        const gltf = await this.gltfLoader.parseAsync(data, THREE.LoaderUtils.extractUrlBase(url));
+        if (signal?.aborted) {
+            throw new DOMException('Model load cancelled', 'AbortError');
+        }
+        
+        const model = gltf.scene;
+
+        // Traverse and setup materials
+        model.traverse((child) => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+
+                // Improve material appearance
+                if (child.material) {
+                    child.material.roughness = 0.8;
+                    child.material.metalness = 0.2;
+                }
+            }
+        });
+
+        // Center the model over its base so it rests on the surface
+        const box = new THREE.Box3().setFromObject(model);
+        const center = box.getCenter(new THREE.Vector3());
+        model.position.x -= center.x;
+        model.position.y -= box.min.y;
+        model.position.z -= center.z;
+
+        // Wrap so placement transforms don't undo the centering
+        const wrapper = new THREE.Group();
+        wrapper.add(model);
+        wrapper.userData.modelSize = box.getSize(new THREE.Vector3());
+
+        return wrapper;
+    }
+    
+    createProductLabel(productMesh, productData) {
+        const label = document.createElement('div');
+        label.className = 'product-label';
+        label.innerHTML = `
+            <div class="product-label-header">
+                <div>
+                    <div class="product-label-name">${productData.name}</div>
+                    <div class="product-label-brand">${productData.brand}</div>
+                </div>
+                <div class="product-label-price">${this.formatPrice(productData)}</div>
+            </div>
+            <div class="product-label-actions">
+                <button class="btn-add-to-cart" data-product="${productData.id}">
+                    <i class="fas fa-cart-plus"></i>
                     Add to Cart
                 </button>
                 <button class="btn-wishlist" data-product="${productData.id}">
@@ -969,7 +2205,7 @@ async checkWebXRSupport() {
         // Add event listeners
         label.querySelector('.btn-add-to-cart').addEventListener('click', (e) => {
             e.stopPropagation();
-            this.addToCart(productData);
+            this.addToCart(productData, { variant: productMesh.userData.color });
             label.style.borderColor = '#00ccff';
             
             // Track interaction
@@ -1019,7 +2255,7 @@ async checkWebXRSupport() {
         this.productLabels.forEach((labelData, uuid) => {
             const { element, mesh } = labelData;
             
-            if (!mesh.parent || mesh.userData.isPlaceholder) {
+            if (!mesh.parent) {
                 element.remove();
                 this.productLabels.delete(uuid);
                 return;
@@ -1053,74 +2289,276 @@ async checkWebXRSupport() {
         });
     }
     
-    addToCart(productData) {
-        // Check inventory
-        if (productData.stock <= 0) {
-            this.showToast('Product out of stock', 'error');
-            return;
+    addToCart(productData, { variant = null } = {}) {
+        // Merges with an existing line and checks stock
+        try {
+            this.cart.add(productData, { variant });
+        } catch (error) {
+            this.showCartError(error);
+            return;
+        }
+        
+        // Update cart UI
+        this.updateCartUI();
+        this.updateRecommendations();
+        
+        // Show success message
+        this.showToast(this.t('toast.addedToCart', { name: productData.name }), 'success');
+        
+        // Track with brand API
+        this.brandAPI.trackCartAdd({
+            productId: productData.id,
+            variant,
+            price: productData.price,
+            timestamp: Date.now()
+        });
+    }
+    
+    showCartError(error) {
+        if (!(error instanceof CartError)) throw error;
+        
+        if (error.code === 'out_of_stock') {
+            this.showToast(this.t('toast.outOfStock'), 'error');
+        } else if (error.code === 'insufficient_stock') {
+            this.showToast(this.t('toast.stockLimit', { count: error.stock, name: error.productName }), 'error');
+        } else {
+            this.showToast(error.message, 'error');
+        }
+    }
+    
+    restoreCart() {
+        // Saved lines are re-checked against the catalog just loaded
+        const { dropped, reduced } = this.cart.restore(this.productCatalog);
+        if (dropped.length || reduced.length) {
+            console.info('Cart updated from catalog:', { dropped, reduced });
+        }
+        this.updateCartUI();
+    }
+    
+    toggleCartPanel() {
+        const visible = document.getElementById('cartPanel').classList.toggle('show');
+        document.getElementById('toggleCart').classList.toggle('active', visible);
+    }
+    
+    toggleOrderPanel(show) {
+        const panel = document.getElementById('orderPanel');
+        const visible = panel.classList.toggle('show', show);
+        document.getElementById('toggleOrders').classList.toggle('active', visible);
+        if (visible) {
+            this.toggleLayoutPanel(false);
+            this.renderOrderList();
+        }
+    }
+    
+    // Newest first
+    getOrders() {
+        return (this.userProfile?.history.purchased || []).map(normalizeOrder).reverse();
+    }
+    
+    findOrder(orderId) {
+        return this.getOrders().find(order => order.orderId === orderId) || null;
+    }
+    
+    renderOrderList() {
+        const list = document.getElementById('orderList');
+        if (!list) return;
+        
+        const orders = this.getOrders();
+        if (orders.length === 0) {
+            list.innerHTML = `<div class="order-empty">${this.t('orders.empty')}</div>`;
+            return;
+        }
+        
+        list.innerHTML = orders.map(order => {
+            const paidWith = describePaymentMethod(order.paymentMethod);
+            return `
+                <div class="order-item" data-order="${order.orderId}">
+                    <div class="order-head">
+                        <span class="item-name">${new Date(order.timestamp).toLocaleDateString(this.locale)}</span>
+                        <span class="item-price">${formatCents(order.totals.totalCents)}</span>
+                    </div>
+                    <ul class="order-lines">
+                        ${order.items.map(item => `
+                            <li>
+                                <span>${item.quantity} × ${item.name}</span>
+                                <span>${formatCents(item.subtotalCents)}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    <div class="order-ids">
+                        <div>${this.t('orders.orderId', { id: order.orderId })}</div>
+                        ${order.transactionId ? `<div>${this.t('orders.transactionId', { id: order.transactionId })}</div>` : ''}
+                        ${paidWith ? `<div>${paidWith}</div>` : ''}
+                    </div>
+                    <div class="order-actions">
+                        <button class="icon-btn-small" data-action="place" title="${this.t('orders.placeAgain')}">
+                            <i class="fas fa-cube"></i>
+                        </button>
+                        <button class="icon-btn-small" data-action="print" title="${this.t('orders.print')}">
+                            <i class="fas fa-print"></i>
+                        </button>
+                        <button class="icon-btn-small" data-action="download" title="${this.t('orders.download')}">
+                            <i class="fas fa-download"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        list.querySelectorAll('.order-actions button').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const orderId = e.currentTarget.closest('.order-item').dataset.order;
+                const action = e.currentTarget.dataset.action;
+                
+                if (action === 'place') this.placeOrderAgain(orderId);
+                if (action === 'print') this.printReceipt(orderId);
+                if (action === 'download') this.downloadReceipt(orderId);
+            });
+        });
+    }
+    
+    printReceipt(orderId) {
+        const order = this.findOrder(orderId);
+        if (!order) return;
+        
+        const receipt = window.open('', '_blank');
+        if (!receipt) {
+            // Pop-up blocked: the downloaded file prints just as well
+            this.showToast(this.t('toast.receiptBlocked'), 'error');
+            this.downloadReceipt(orderId);
+            return;
+        }
+        receipt.document.write(renderReceipt(order, { t: this.t, locale: this.locale }));
+        receipt.document.close();
+        receipt.focus();
+        receipt.print();
+    }
+    
+    downloadReceipt(orderId) {
+        const order = this.findOrder(orderId);
+        if (!order) return;
+        
+        const blob = new Blob([renderReceipt(order, { t: this.t, locale: this.locale })], { type: 'text/html' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = receiptFileName(order);
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    async placeOrderAgain(orderId) {
+        const order = this.findOrder(orderId);
+        if (!order) return;
+        
+        if (!this.isSessionActive || !this.reticle.visible) {
+            this.showToast(this.t('toast.needSurface'), 'error');
+            return;
+        }
+        this.toggleOrderPanel(false);
+        
+        const origin = new THREE.Vector3().setFromMatrixPosition(this.reticle.matrix);
+        const total = order.items.reduce((sum, item) => sum + item.quantity, 0);
+        const missing = [];
+        let placed = 0;
+        
+        // One at a time, snapping each beside the last instead of inside it
+        for (const item of order.items) {
+            const product = this.productCatalog.find(p => p.id === item.id);
+            if (!product) {
+                missing.push(item.id);
+                continue;
+            }
+            for (let i = 0; i < item.quantity; i++) {
+                const mesh = await this.placeProduct(product, {
+                    position: origin.clone(),
+                    color: item.variant,
+                    snap: true,
+                    quiet: true
+                });
+                if (mesh) placed++;
+            }
+        }
+        
+        if (missing.length > 0) {
+            this.showToast(this.t('toast.orderPartial', { placed, total, missing: missing.length }), 'error');
+        } else {
+            this.showToast(this.t('toast.orderPlaced', { id: order.orderId }), 'success');
+        }
+    }
+    
+    setCartQuantity(key, quantity) {
+        try {
+            this.cart.setQuantity(key, quantity);
+        } catch (error) {
+            this.showCartError(error);
         }
         
-        // Add to cart
-        this.cart.push({
-            ...productData,
-            quantity: 1,
-            addedAt: Date.now()
-        });
-        
-        // Update cart UI
         this.updateCartUI();
-        
-        // Show success message
-        this.showToast(`Added ${productData.name} to cart!`, 'success');
-        
-        // Track with brand API
-        this.brandAPI.trackCartAdd({
-            productId: productData.id,
-            price: productData.price,
-            timestamp: Date.now()
-        });
+        if (!this.cart.getLine(key)) {
+            this.updateRecommendations();
+            this.showToast(this.t('toast.removedFromCart'), 'error');
+        }
     }
     
     updateCartUI() {
         const cartItems = document.getElementById('cartItems');
         const cartCount = document.querySelector('.cart-count');
+        const cartBadge = document.querySelector('.cart-badge');
         const totalAmount = document.querySelector('.total-amount');
         const checkoutBtn = document.getElementById('checkoutBtn');
         
-        // Update count
-        cartCount.textContent = this.cart.length;
+        // Update count (units, not lines)
+        cartCount.textContent = this.cart.count;
+        cartBadge.textContent = this.cart.count;
+        cartBadge.classList.toggle('show', !this.cart.isEmpty);
         
-        // Calculate total
-        let total = 0;
-        this.cart.forEach(item => {
-            total += item.price * item.quantity;
-        });
-        totalAmount.textContent = `$${total.toFixed(2)}`;
+        // Same quote the checkout will charge
+        const quote = this.getQuote();
+        totalAmount.textContent = formatCents(quote.totalCents);
         
         // Enable/disable checkout
-        checkoutBtn.disabled = this.cart.length === 0;
+        checkoutBtn.disabled = this.cart.isEmpty;
         
         // Update items list
-        cartItems.innerHTML = this.cart.map((item, index) => `
-            <div class="cart-item">
+        cartItems.innerHTML = this.cart.lines.map((line, i) => `
+            <div class="cart-item" data-key="${line.key}">
                 <div class="cart-item-info">
-                    <h4>${item.name}</h4>
-                    <div class="cart-item-price">$${item.price}</div>
+                    <h4>
+                        ${line.variant ? `<span class="cart-item-variant" style="background: ${line.variant}" title="${line.variant}"></span>` : ''}
+                        ${line.name}
+                    </h4>
+                    <div class="cart-item-price">${formatCents(quote.lines[i].subtotalCents)}</div>
+                </div>
+                <div class="cart-item-quantity">
+                    <button class="quantity-btn" data-step="-1" title="${this.t('cart.decrease')}">
+                        <i class="fas fa-minus"></i>
+                    </button>
+                    <input type="number" class="quantity-input" min="1" max="${line.stock}" value="${line.quantity}"
+                           aria-label="${this.t('cart.quantity')}">
+                    <button class="quantity-btn" data-step="1" title="${this.t('cart.increase')}" ${line.quantity >= line.stock ? 'disabled' : ''}>
+                        <i class="fas fa-plus"></i>
+                    </button>
                 </div>
-                <button class="remove-item" data-index="${index}">
+                <button class="remove-item">
                     <i class="fas fa-trash"></i>
                 </button>
             </div>
         `).join('');
         
-        // Add remove listeners
-        document.querySelectorAll('.remove-item').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const index = parseInt(e.currentTarget.dataset.index);
-                this.cart.splice(index, 1);
-                this.updateCartUI();
-                this.showToast('Item removed from cart', 'error');
+        // Quantity and remove listeners
+        cartItems.querySelectorAll('.cart-item').forEach(item => {
+            const { key } = item.dataset;
+            const line = this.cart.getLine(key);
+            
+            item.querySelectorAll('.quantity-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.setCartQuantity(key, line.quantity + Number(btn.dataset.step)));
             });
+            item.querySelector('.quantity-input').addEventListener('change', (e) => {
+                // An emptied field is invalid rather than a removal
+                this.setCartQuantity(key, parseInt(e.target.value, 10));
+            });
+            item.querySelector('.remove-item').addEventListener('click', () => this.setCartQuantity(key, 0));
         });
     }
     
@@ -1128,32 +2566,36 @@ async checkWebXRSupport() {
         const modal = document.getElementById('paymentModal');
         const paymentForm = document.getElementById('paymentForm');
         
-        // Calculate total
-        const total = this.cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
-        
-        // Create payment form
+        // Create payment form; the summary is filled in by renderCheckoutSummary()
         paymentForm.innerHTML = `
-            <div class="payment-summary">
-                <h4>Order Summary</h4>
-                ${this.cart.map(item => `
-                    <div class="summary-item">
-                        <span>${item.name} x${item.quantity}</span>
-                        <span>$${(item.price * item.quantity).toFixed(2)}</span>
-                    </div>
-                `).join('')}
-                <div class="summary-total">
-                    <span>Total</span>
-                    <span>$${total.toFixed(2)}</span>
+            <div class="payment-summary"></div>
+            
+            <div class="checkout-options">
+                <label class="checkout-region">
+                    <span>${this.t('checkout.region')}</span>
+                    <select id="taxRegion" class="filter-select">
+                        ${Object.entries(TAX_REGIONS).map(([code, { label }]) => `
+                            <option value="${code}" ${code === this.pricing.region ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <div class="promo-code">
+                    <input type="text" id="promoCode" class="card-input" placeholder="${this.t('checkout.promoPlaceholder')}"
+                           value="${this.promoCode || ''}" autocomplete="off">
+                    <button id="applyPromo" class="icon-btn-small" title="${this.t('checkout.applyPromo')}">
+                        <i class="fas fa-tag"></i>
+                    </button>
                 </div>
+                <div class="promo-message"></div>
             </div>
             
             <div class="payment-methods">
-                <h4>Payment Method</h4>
+                <h4>${this.t('payment.method')}</h4>
                 <div class="method-options">
                     <label class="method-option active">
                         <input type="radio" name="paymentMethod" value="card" checked>
                         <i class="fas fa-credit-card"></i>
-                        <span>Credit Card</span>
+                        <span>${this.t('payment.card')}</span>
                     </label>
                     <label class="method-option">
                         <input type="radio" name="paymentMethod" value="paypal">
@@ -1163,110 +2605,325 @@ async checkWebXRSupport() {
                     <label class="method-option">
                         <input type="radio" name="paymentMethod" value="applepay">
                         <i class="fab fa-apple"></i>
-                        <span>Apple Pay</span>
+                        <span>${this.t('payment.applePay')}</span>
                     </label>
                 </div>
             </div>
             
             <div class="card-details">
-                <h4>Card Details</h4>
-                <input type="text" placeholder="Card Number" class="card-input">
+                <h4>${this.t('card.details')}</h4>
+                <div class="card-number-field">
+                    <input type="text" id="cardNumber" placeholder="${this.t('card.number')}" class="card-input"
+                           inputmode="numeric" autocomplete="cc-number" maxlength="23">
+                    <i class="card-brand fas fa-credit-card"></i>
+                </div>
+                <div class="field-error" data-field="number"></div>
                 <div class="card-row">
-                    <input type="text" placeholder="MM/YY" class="card-input small">
-                    <input type="text" placeholder="CVC" class="card-input small">
+                    <div class="card-field">
+                        <input type="text" id="cardExpiry" placeholder="${this.t('card.expiry')}" class="card-input small"
+                               inputmode="numeric" autocomplete="cc-exp" maxlength="7">
+                        <div class="field-error" data-field="expiry"></div>
+                    </div>
+                    <div class="card-field">
+                        <input type="text" id="cardCvc" placeholder="${this.t('card.cvc')}" class="card-input small"
+                               inputmode="numeric" autocomplete="cc-csc" maxlength="4">
+                        <div class="field-error" data-field="cvc"></div>
+                    </div>
                 </div>
-                <input type="text" placeholder="Name on Card" class="card-input">
+                <input type="text" id="cardName" placeholder="${this.t('card.name')}" class="card-input" autocomplete="cc-name">
+                <div class="field-error" data-field="name"></div>
             </div>
             
+            <div class="payment-action"></div>
+            <div class="payment-error" role="alert"></div>
+            
             <button id="processPayment" class="btn-checkout">
                 <i class="fas fa-lock"></i>
-                Pay $${total.toFixed(2)}
+                <span class="pay-label"></span>
             </button>
         `;
         
+        // Region and promo code both change the quote
+        document.getElementById('taxRegion').addEventListener('change', (e) => {
+            this.pricing.region = e.target.value;
+            this.userPreferences.region = e.target.value;
+            this.saveUserPreferences();
+            this.renderCheckoutSummary();
+            this.updateCartUI();
+        });
+        const promoInput = document.getElementById('promoCode');
+        const applyPromo = () => this.applyPromoCode(promoInput.value);
+        document.getElementById('applyPromo').addEventListener('click', applyPromo);
+        promoInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') applyPromo();
+        });
+        
+        // Card details only apply to card payments
+        paymentForm.querySelectorAll('input[name="paymentMethod"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                paymentForm.querySelectorAll('.method-option').forEach(option => {
+                    option.classList.toggle('active', option.contains(radio));
+                });
+                paymentForm.querySelector('.card-details').hidden = radio.value !== 'card';
+                paymentForm.querySelector('.payment-error').textContent = '';
+                this.updatePayButton();
+            });
+        });
+        
+        this.cardForm = new CardForm(paymentForm.querySelector('.card-details'), {
+            t: this.t,
+            onChange: () => this.updatePayButton()
+        });
+        this.updatePayButton();
+        
         // Add payment processing
         document.getElementById('processPayment').addEventListener('click', () => this.processPayment());
         
+        this.renderCheckoutSummary();
         modal.classList.add('show');
     }
     
+    getQuote(lines = this.cart.lines) {
+        return this.pricing.quote(lines, { promoCode: this.promoCode });
+    }
+    
+    formatPrice(product) {
+        return formatCents(this.pricing.unitPrice(product).unitCents);
+    }
+    
+    applyPromoCode(code) {
+        this.promoCode = code.trim() || null;
+        const { promo } = this.getQuote();
+        
+        if (promo && !promo.valid) {
+            // Keep showing what was typed, but don't charge with it
+            this.promoCode = null;
+        }
+        this.renderCheckoutSummary(promo);
+        this.updateCartUI();
+    }
+    
+    renderCheckoutSummary(promoResult = null) {
+        const summary = document.querySelector('#paymentForm .payment-summary');
+        if (!summary) return;
+        
+        const quote = this.getQuote();
+        const row = (label, cents, className = '') => `
+            <div class="summary-item ${className}">
+                <span>${label}</span>
+                <span>${formatCents(cents)}</span>
+            </div>
+        `;
+        
+        summary.innerHTML = `
+            <h4>${this.t('checkout.orderSummary')}</h4>
+            ${quote.lines.map(line => `
+                <div class="summary-item">
+                    <span>${line.name} x${line.quantity}</span>
+                    <span>
+                        ${line.discountCents ? `<s class="summary-was">${formatCents(line.listCents * line.quantity)}</s>` : ''}
+                        ${formatCents(line.subtotalCents)}
+                    </span>
+                </div>
+            `).join('')}
+            ${quote.discountCents ? row(this.t('checkout.savings'), -quote.discountCents, 'savings') : ''}
+            ${row(this.t('checkout.subtotal'), quote.subtotalCents)}
+            ${quote.promo?.valid ? row(`${this.t('checkout.promo')} ${quote.promo.code}`, -quote.promoDiscountCents, 'savings') : ''}
+            ${quote.shippingCents ?
+                row(this.t('checkout.shipping'), quote.shippingCents) :
+                `<div class="summary-item"><span>${this.t('checkout.shipping')}</span><span>${this.t('checkout.freeShipping')}</span></div>`}
+            ${row(`${this.t('checkout.tax')} (${quote.regionLabel}, ${+(quote.taxRate * 100).toFixed(3)}%)`, quote.taxCents)}
+            <div class="summary-total">
+                <span>${this.t('checkout.total')}</span>
+                <span>${formatCents(quote.totalCents)}</span>
+            </div>
+        `;
+        
+        const message = document.querySelector('#paymentForm .promo-message');
+        const result = promoResult || quote.promo;
+        if (message) {
+            message.className = `promo-message ${result && !result.valid ? 'error' : ''}`;
+            message.textContent = !result ? '' : result.valid ?
+                this.t('checkout.promoApplied', { description: this.describePromo(result.promo) }) :
+                this.t(`checkout.promo.${result.error}`, { code: result.code, amount: formatCents(result.minSubtotalCents || 0) });
+        }
+        
+        const payLabel = document.querySelector('#processPayment .pay-label');
+        if (payLabel) payLabel.textContent = this.t('checkout.pay', { amount: formatCents(quote.totalCents) });
+    }
+    
+    describePromo({ type, value, minSubtotal }) {
+        if (type === 'percent') return this.t('checkout.promoOffer.percent', { value });
+        if (type === 'fixed') {
+            const amount = formatCents(toCents(value));
+            return minSubtotal ?
+                this.t('checkout.promoOffer.fixedMin', { amount, minSubtotal: formatCents(toCents(minSubtotal)) }) :
+                this.t('checkout.promoOffer.fixed', { amount });
+        }
+        return this.t('checkout.promoOffer.shipping');
+    }
+    
+    selectedPaymentMethod() {
+        return document.querySelector('#paymentForm input[name="paymentMethod"]:checked')?.value || 'card';
+    }
+    
+    // Pay stays disabled until the card form is valid (other methods have no form)
+    updatePayButton() {
+        const processBtn = document.getElementById('processPayment');
+        if (!processBtn) return;
+        
+        const cardReady = this.selectedPaymentMethod() !== 'card' || this.cardForm?.valid;
+        processBtn.disabled = this.paymentInFlight || this.cart.isEmpty || !cardReady;
+    }
+    
     async processPayment() {
         try {
+            if (this.selectedPaymentMethod() === 'card' && !this.cardForm.valid) {
+                this.cardForm.touchAll();
+                return;
+            }
+            
             // Show loading
             const processBtn = document.getElementById('processPayment');
-            processBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Processing...';
+            processBtn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${this.t('payment.processing')}`;
+            this.paymentInFlight = true;
             processBtn.disabled = true;
+            document.querySelector('#paymentForm .payment-error').textContent = '';
             
-            // Simulate payment processing
-            await new Promise(resolve => setTimeout(resolve, 2000));
+            // The lines being paid for, fixed together with their quote: the
+            // cart can still change while 3-D Secure or PayPal is waiting
+            const lines = this.cart.lines.map(line => ({ ...line }));
+            const quote = this.getQuote(lines);
             
-            // Process with Stripe (would be real in production)
+            // Create and confirm a payment intent through the gateway adapter
             const paymentResult = await this.paymentProcessor.processPayment({
-                amount: this.cart.reduce((sum, item) => sum + item.price * item.quantity, 0),
-                items: this.cart,
+                amountCents: quote.totalCents,
+                quote,
+                method: this.readPaymentMethod(),
+                items: lines,
                 user: this.userProfile
+            }, {
+                onAction: (intent) => this.showPaymentAction(intent)
             });
             
             if (paymentResult.success) {
+                const order = buildOrder({ paymentResult, quote, lines });
+                
                 // Track conversion
-                this.cart.forEach(item => {
+                order.items.forEach(item => {
                     if (!this.analytics.conversions[item.id]) {
                         this.analytics.conversions[item.id] = 0;
                     }
                     this.analytics.conversions[item.id]++;
                     
                     // Update inventory
-                    this.inventoryAPI.updateStock(item.id, -1);
+                    this.inventoryAPI.updateStock(item.id, -item.quantity);
                 });
                 
-                // Clear cart
-                this.cart = [];
+                // Take what was paid for out of the cart, leaving anything added meanwhile
+                this.paymentInFlight = false;
+                this.cardForm.clear();
+                lines.forEach(paid => {
+                    const line = this.cart.getLine(paid.key);
+                    if (!line) return;
+                    if (line.quantity > paid.quantity) {
+                        this.cart.setQuantity(paid.key, line.quantity - paid.quantity);
+                    } else {
+                        this.cart.remove(paid.key);
+                    }
+                });
+                this.promoCode = null;
                 this.updateCartUI();
                 
                 // Close modal
                 document.getElementById('paymentModal').classList.remove('show');
                 
                 // Show success
-                this.showToast('Payment successful! Order confirmed.', 'success');
+                this.showToast(this.t('toast.paymentSuccess'), 'success');
                 
                 // Send analytics
                 this.brandAPI.trackPurchase({
-                    orderId: paymentResult.orderId,
-                    items: this.cart,
+                    orderId: order.orderId,
+                    transactionId: order.transactionId,
+                    items: order.items,
                     total: paymentResult.amount,
-                    timestamp: Date.now()
+                    timestamp: order.timestamp
                 });
                 
                 // Save to user history
                 if (this.userProfile) {
-                    this.userProfile.history.purchased.push({
-                        orderId: paymentResult.orderId,
-                        items: this.cart.map(item => ({
-                            id: item.id,
-                            name: item.name,
-                            price: item.price
-                        })),
-                        timestamp: Date.now()
-                    });
+                    this.userProfile.history.purchased.push(order);
                     localStorage.setItem('arplacementai_user', JSON.stringify(this.userProfile));
+                    // Items in this order count as chosen together from now on
+                    this.trainRecommendations();
+                    this.updateRecommendations();
                 }
+                this.renderOrderList();
                 
             } else {
                 throw new Error(paymentResult.error || 'Payment failed');
             }
             
         } catch (error) {
-            console.error('Payment error:', error);
-            this.showToast(`Payment failed: ${error.message}`, 'error');
+            console.error('Payment error:', error.code || error.message);
+            const message = this.paymentErrorMessage(error);
+            document.querySelector('#paymentForm .payment-error').textContent = message;
+            this.showToast(this.t('toast.paymentFailed', { error: message }), 'error');
             
             // Reset button
-            const total = this.cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
             const processBtn = document.getElementById('processPayment');
-            processBtn.innerHTML = `<i class="fas fa-lock"></i> Pay $${total.toFixed(2)}`;
-            processBtn.disabled = false;
+            processBtn.innerHTML = '<i class="fas fa-lock"></i> <span class="pay-label"></span>';
+            this.paymentInFlight = false;
+            this.updatePayButton();
+            this.renderCheckoutSummary();
         }
     }
     
+    // Card details go from the form straight to the gateway; never logged or kept
+    readPaymentMethod() {
+        const type = this.selectedPaymentMethod();
+        return type === 'card' ? { type, card: this.cardForm.value() } : { type };
+    }
+    
+    // 3-D Secure challenge or PayPal approval. Resolves true if the shopper
+    // approves, false if they cancel or close checkout.
+    showPaymentAction(intent) {
+        const panel = document.querySelector('#paymentForm .payment-action');
+        const paypal = intent.nextAction?.type === 'redirect_approval';
+        const amount = formatCents(intent.amountCents);
+        
+        panel.innerHTML = `
+            <h4>
+                <i class="fas ${paypal ? 'fa-external-link-alt' : 'fa-shield-alt'}"></i>
+                ${this.t(paypal ? 'payment.approveTitle' : 'payment.secureTitle')}
+            </h4>
+            <p>${this.t(paypal ? 'payment.approveBody' : 'payment.secureBody', { amount })}</p>
+            <div class="payment-action-buttons">
+                <button class="btn-primary" data-approved="true">${this.t('payment.approve')}</button>
+                <button class="btn-secondary" data-approved="false">${this.t('payment.cancel')}</button>
+            </div>
+        `;
+        panel.classList.add('show');
+        
+        return new Promise(resolve => {
+            this.pendingPaymentAction = (approved) => {
+                this.pendingPaymentAction = null;
+                panel.classList.remove('show');
+                panel.innerHTML = '';
+                resolve(approved);
+            };
+            panel.querySelectorAll('button').forEach(btn => {
+                btn.addEventListener('click', () => this.pendingPaymentAction?.(btn.dataset.approved === 'true'));
+            });
+        });
+    }
+    
+    paymentErrorMessage(error) {
+        const key = `payment.error.${error.code}`;
+        const message = this.t(key);
+        return message === key ? error.message : message;
+    }
+    
     trackInteraction(productId, action) {
         if (!this.analytics.interactions[productId]) {
             this.analytics.interactions[productId] = {};
@@ -1304,8 +2961,8 @@ async checkWebXRSupport() {
                 <div class="item-header">
                     <div class="item-name">${product.name}</div>
                     <div>
-                        <span class="item-price">$${product.price}</span>
-                        ${product.discount ? `<span class="item-discount">$${(product.price * 100 / (100 - product.discount)).toFixed(2)}</span>` : ''}
+                        <span class="item-price">${this.formatPrice(product)}</span>
+                        ${product.discount ? `<span class="item-discount">${formatCents(this.pricing.unitPrice(product).listCents)}</span>` : ''}
                     </div>
                 </div>
                 <div class="item-brand">${product.brand}</div>
@@ -1332,7 +2989,7 @@ async checkWebXRSupport() {
                     this.placeProduct(product);
                     this.hideCatalog();
                 } else if (product) {
-                    this.showToast('Move your device to detect a surface first', 'error');
+                    this.showToast(this.t('toast.needSurface'), 'error');
                 }
             });
         });
@@ -1354,12 +3011,13 @@ async checkWebXRSupport() {
     showProductDetails(productData) {
         // In a full implementation, this would show a detailed modal
         console.log('Product details:', productData);
-        this.showToast(`Viewing ${productData.name} details`, 'success');
+        this.showToast(this.t('toast.viewing', { name: productData.name }), 'success');
     }
     
     addToWishlist(productData) {
         this.wishlist.push(productData);
-        this.showToast(`Added ${productData.name} to wishlist`, 'success');
+        this.showToast(this.t('toast.addedToWishlist', { name: productData.name }), 'success');
+        this.updateRecommendations();
         
         // Update user preferences
         if (this.userProfile) {
@@ -1375,7 +3033,7 @@ async checkWebXRSupport() {
             const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
             const recognition = new SpeechRecognition();
             
-            recognition.lang = 'en-US';
+            recognition.lang = LOCALES[this.locale].speech;
             recognition.interimResults = false;
             recognition.maxAlternatives = 1;
             
@@ -1389,11 +3047,11 @@ async checkWebXRSupport() {
             
             recognition.onerror = (event) => {
                 console.error('Speech recognition error:', event.error);
-                this.showToast('Voice input failed. Please try typing.', 'error');
+                this.showToast(this.t('toast.voiceFailed'), 'error');
             };
             
         } else {
-            this.showToast('Voice input not supported in this browser', 'error');
+            this.showToast(this.t('toast.voiceUnsupported'), 'error');
         }
     }
     
@@ -1420,13 +3078,39 @@ async checkWebXRSupport() {
     }
     
     onSelect(event) {
-        if (!this.reticle.visible || !this.isSessionActive) return;
+        if (!this.isSessionActive) return;
         
-        const lastInput = this.conversationContext[this.conversationContext.length - 1] || '';
-        const suggestions = this.aiEngine.analyzeContext(lastInput, this.productCatalog, this.userProfile);
+        // Ignore the select fired by a finger lifted from a two-finger gesture or a drag
+        if (this.gestureState || Date.now() - this.lastGestureEnd < 300) return;
+        if (this.dragState?.moved) return;
         
-        if (suggestions.length > 0) {
-            this.placeProduct(suggestions[0].product);
+        // In measure mode taps drop points instead of placing products
+        if (this.measureTool.active) {
+            if (this.reticle.visible) {
+                this.measureTool.addPoint(new THREE.Vector3().setFromMatrixPosition(this.reticle.matrix));
+                this.updateMeasureUI();
+            }
+            return;
+        }
+        
+        // Tapping a placed product selects it; tapping elsewhere clears the selection
+        const picked = this.pickProduct(event);
+        if (picked) {
+            this.selectProduct(picked);
+            return;
+        }
+        if (this.selectedProduct) {
+            this.deselectProduct();
+            return;
+        }
+        
+        if (!this.reticle.visible) return;
+        
+        // Place whatever the conversation currently points at
+        const focus = this.dialogue.focus;
+        
+        if (focus) {
+            this.placeProduct(focus);
         } else {
             // Place a random product from catalog
             const randomProduct = this.productCatalog[
@@ -1436,10 +3120,359 @@ async checkWebXRSupport() {
         }
     }
     
+    getInputRaycaster(event) {
+        // XR select events carry a target ray; pointer events carry screen coordinates
+        if (event?.frame && event.inputSource) {
+            const referenceSpace = this.renderer.xr.getReferenceSpace();
+            const pose = event.frame.getPose(event.inputSource.targetRaySpace, referenceSpace);
+            if (!pose) return null;
+            
+            const matrix = new THREE.Matrix4().fromArray(pose.transform.matrix);
+            this.raycaster.ray.origin.setFromMatrixPosition(matrix);
+            this.raycaster.ray.direction.set(0, 0, -1).transformDirection(matrix);
+            return this.raycaster;
+        }
+        
+        if (event?.clientX !== undefined) {
+            this.raycaster.setFromCamera(this.getPointerNDC(event), this.camera);
+            return this.raycaster;
+        }
+        
+        return null;
+    }
+    
+    pickProduct(event) {
+        const raycaster = this.getInputRaycaster(event);
+        if (!raycaster || this.products.length === 0) return null;
+        
+        const hit = raycaster.intersectObjects(this.products, true)[0];
+        if (!hit) return null;
+        
+        // Walk up from the hit mesh to the placed product root
+        let object = hit.object;
+        while (object && !this.products.includes(object)) {
+            object = object.parent;
+        }
+        return object || null;
+    }
+    
+    selectProduct(productMesh) {
+        if (this.selectedProduct === productMesh) return;
+        if (this.selectedProduct) this.deselectProduct();
+        
+        this.selectedProduct = productMesh;
+        
+        // Highlight with a bounding box outline
+        this.selectionHelper = new THREE.BoxHelper(productMesh, 0x00ff88);
+        this.scene.add(this.selectionHelper);
+        
+        const labelData = this.productLabels.get(productMesh.uuid);
+        if (labelData) labelData.element.classList.add('selected');
+        
+        const toolbar = document.getElementById('selectionToolbar');
+        toolbar.querySelector('.selection-name').textContent = productMesh.userData.productData.name;
+        this.renderColorSwatches(productMesh);
+        toolbar.classList.add('show');
+        
+        productMesh.userData.interactions++;
+        this.trackInteraction(productMesh.userData.productId, 'select');
+    }
+    
+    deselectProduct() {
+        const productMesh = this.selectedProduct;
+        if (!productMesh) return;
+        
+        this.endDrag();
+        this.selectedProduct = null;
+        
+        if (this.selectionHelper) {
+            this.scene.remove(this.selectionHelper);
+            this.selectionHelper.geometry.dispose();
+            this.selectionHelper.material.dispose();
+            this.selectionHelper = null;
+        }
+        
+        const labelData = this.productLabels.get(productMesh.uuid);
+        if (labelData) labelData.element.classList.remove('selected');
+        
+        document.getElementById('selectionToolbar').classList.remove('show');
+        
+        this.trackInteraction(productMesh.userData.productId, 'deselect');
+    }
+    
+    renderColorSwatches(productMesh) {
+        const container = document.querySelector('#selectionToolbar .selection-colors');
+        const colors = productMesh.userData.productData.colors || [];
+        
+        container.innerHTML = colors.map(color => `
+            <button class="color-swatch ${productMesh.userData.color === color ? 'active' : ''}"
+                    data-color="${color}" style="background: ${color}" title="${color}"></button>
+        `).join('');
+        
+        container.querySelectorAll('.color-swatch').forEach(swatch => {
+            swatch.addEventListener('click', (e) => {
+                if (!this.selectedProduct) return;
+                this.applyProductColor(this.selectedProduct, e.currentTarget.dataset.color);
+                this.renderColorSwatches(this.selectedProduct);
+                this.trackInteraction(this.selectedProduct.userData.productId, 'color');
+            });
+        });
+    }
+    
+    applyProductColor(productMesh, color) {
+        productMesh.traverse(child => {
+            if (!child.isMesh || !child.material || child.userData.isContactShadow) return;
+            
+            // Cached models share materials between placements, so tint a private copy
+            if (child.userData.isCachedAsset && !child.userData.ownsMaterial) {
+                child.material = Array.isArray(child.material) ?
+                    child.material.map(m => m.clone()) : child.material.clone();
+                child.userData.ownsMaterial = true;
+            }
+            
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => material.color?.set(color));
+        });
+        
+        productMesh.userData.color = color;
+    }
+    
+    onSelectStart(event) {
+        // Start dragging when the touch begins on the selected product
+        if (this.selectedProduct && this.pickProduct(event) === this.selectedProduct) {
+            this.dragState = { inputSource: event.inputSource, moved: false };
+        }
+    }
+    
+    updateDrag(frame) {
+        const referenceSpace = this.renderer.xr.getReferenceSpace();
+        
+        if (this.transientHitTestSource) {
+            const transientResults = frame.getHitTestResultsForTransientInput(this.transientHitTestSource);
+            const inputResult = transientResults.find(r => r.inputSource === this.dragState.inputSource);
+            
+            if (inputResult && inputResult.results.length > 0) {
+                const pose = inputResult.results[0].getPose(referenceSpace);
+                const matrix = new THREE.Matrix4().fromArray(pose.transform.matrix);
+                this.moveSelectedProduct(new THREE.Vector3().setFromMatrixPosition(matrix));
+            }
+        } else if (this.reticle.visible) {
+            // No touch hit testing: follow the reticle instead
+            this.moveSelectedProduct(new THREE.Vector3().setFromMatrixPosition(this.reticle.matrix));
+        }
+    }
+    
+    moveSelectedProduct(point) {
+        if (!this.selectedProduct) return;
+        
+        this.selectedProduct.position.copy(point);
+        if (this.dragState) this.dragState.moved = true;
+        this.collisionsDirty = true;
+    }
+    
+    endDrag() {
+        if (!this.dragState) return;
+        
+        if (this.dragState.moved && this.selectedProduct) {
+            // Re-anchor at the new spot
+            this.selectedProduct.updateMatrix();
+            this.attachAnchor(this.selectedProduct, this.requestAnchor(this.selectedProduct.matrix));
+            
+            this.trackInteraction(this.selectedProduct.userData.productId, 'move');
+        }
+        this.dragState = null;
+    }
+    
+    rotateSelectedProduct(radians, track = true) {
+        if (!this.selectedProduct) return;
+        
+        this.selectedProduct.rotation.y += radians;
+        this.collisionsDirty = true;
+        if (track) this.trackInteraction(this.selectedProduct.userData.productId, 'rotate');
+    }
+    
+    scaleSelectedProduct(factor, track = true) {
+        if (!this.selectedProduct) return;
+        
+        if (this.scaleMode === 'true') {
+            if (track) this.showToast(this.t('toast.showcaseToResize'), 'error');
+            return;
+        }
+        
+        // Clamp to 0.25x - 4x of the placed scale
+        const { userData } = this.selectedProduct;
+        userData.userScale = Math.min(4, Math.max(0.25, userData.userScale * factor));
+        this.applyProductScale(this.selectedProduct);
+        if (track) this.trackInteraction(userData.productId, 'scale');
+    }
+    
+    deleteSelectedProduct() {
+        const productMesh = this.selectedProduct;
+        if (!productMesh) return;
+        
+        this.deselectProduct();
+        this.removeProduct(productMesh);
+        
+        this.trackInteraction(productMesh.userData.productId, 'delete');
+        this.showToast(this.t('toast.removed', { name: productMesh.userData.productData.name }), 'success');
+    }
+    
+    removeProduct(productMesh) {
+        const index = this.products.indexOf(productMesh);
+        if (index !== -1) this.products.splice(index, 1);
+        
+        this.detachAnchor(productMesh);
+        this.removeCollisionHelper(productMesh.uuid);
+        this.collisionsDirty = true;
+        
+        const labelData = this.productLabels.get(productMesh.uuid);
+        if (labelData) {
+            labelData.element.remove();
+            this.productLabels.delete(productMesh.uuid);
+        }
+        
+        this.scene.remove(productMesh);
+        this.disposeProduct(productMesh);
+        this.updateRecommendations();
+    }
+    
+    disposeProduct(productMesh) {
+        // Cached model resources are shared with other placements; the cache owns them
+        this.modelCache.release(productMesh);
+        this.disposeObject(productMesh);
+    }
+    
+    disposeObject(object) {
+        object.traverse(child => {
+            if (child.userData.isCachedAsset) {
+                // Recoloured placements own their material copies
+                if (child.userData.ownsMaterial) {
+                    [].concat(child.material).forEach(m => m.dispose());
+                }
+                return;
+            }
+            
+            if (child.geometry) child.geometry.dispose();
+            // Contact shadows share one material owned by the lighting system
+            if (child.material && !child.userData.isContactShadow) {
+                if (Array.isArray(child.material)) {
+                    child.material.forEach(m => m.dispose());
+                } else {
+                    child.material.dispose();
+                }
+            }
+        });
+    }
+    
+    onGestureStart(event) {
+        if (!this.selectedProduct || event.touches.length !== 2) return;
+        
+        const [a, b] = event.touches;
+        this.endDrag();
+        this.gestureState = {
+            startAngle: Math.atan2(b.clientY - a.clientY, b.clientX - a.clientX),
+            startDistance: Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY),
+            startRotation: this.selectedProduct.rotation.y,
+            startScale: this.selectedProduct.userData.userScale,
+            rotated: false,
+            scaled: false
+        };
+        if (this.controls) this.controls.enabled = false;
+    }
+    
+    onGestureMove(event) {
+        if (!this.gestureState || !this.selectedProduct || event.touches.length !== 2) return;
+        
+        const [a, b] = event.touches;
+        const angle = Math.atan2(b.clientY - a.clientY, b.clientX - a.clientX);
+        const distance = Math.hypot(b.clientX - a.clientX, b.clientY - a.clientY);
+        const state = this.gestureState;
+        
+        // Twist rotates around Y, pinch scales relative to the gesture start
+        const rotation = state.startRotation - (angle - state.startAngle);
+        this.rotateSelectedProduct(rotation - this.selectedProduct.rotation.y, false);
+        state.rotated = state.rotated || Math.abs(angle - state.startAngle) > 0.05;
+        
+        if (state.startDistance > 0) {
+            const targetScale = state.startScale * (distance / state.startDistance);
+            this.scaleSelectedProduct(targetScale / this.selectedProduct.userData.userScale, false);
+            state.scaled = state.scaled || (this.scaleMode !== 'true' && Math.abs(distance - state.startDistance) > 10);
+        }
+    }
+    
+    onGestureEnd(event) {
+        if (!this.gestureState || event.touches.length >= 2) return;
+        
+        const { rotated, scaled } = this.gestureState;
+        this.gestureState = null;
+        this.lastGestureEnd = Date.now();
+        if (this.controls) this.controls.enabled = true;
+        
+        if (this.selectedProduct) {
+            const productId = this.selectedProduct.userData.productId;
+            if (rotated) this.trackInteraction(productId, 'rotate');
+            if (scaled) this.trackInteraction(productId, 'scale');
+        }
+    }
+    
+    handleKeyDown(event) {
+        if (!this.selectedProduct || event.target.tagName === 'INPUT') return;
+        
+        switch (event.key) {
+            case 'Delete':
+            case 'Backspace':
+                this.deleteSelectedProduct();
+                break;
+            case 'q':
+                this.rotateSelectedProduct(Math.PI / 8);
+                break;
+            case 'e':
+                this.rotateSelectedProduct(-Math.PI / 8);
+                break;
+            case '+':
+            case '=':
+                this.scaleSelectedProduct(1.1);
+                break;
+            case '-':
+                this.scaleSelectedProduct(1 / 1.1);
+                break;
+            case 'Escape':
+                this.deselectProduct();
+                break;
+        }
+    }
+    
     onSessionEnd() {
         this.isSessionActive = false;
         this.renderer.setAnimationLoop(null);
         
+        this.deselectProduct();
+        this.gestureState = null;
+        
+        // Abandon models still loading
+        this.pendingPlacements.forEach(loading => loading.controller.abort());
+        
+        if (this.measureTool.active) {
+            this.toggleMeasureMode();
+        }
+        this.measureTool.clear();
+        
+        // Release anchors; pending requests resolve empty
+        this.productAnchors.forEach(entry => entry.anchor.delete());
+        this.productAnchors.clear();
+        this.collisionHelpers.forEach((helper, uuid) => this.removeCollisionHelper(uuid));
+        this.anchorRequests.forEach(({ resolve }) => resolve(null));
+        this.anchorRequests = [];
+        this.anchorsSupported = false;
+        if (this.transientHitTestSource) {
+            this.transientHitTestSource.cancel();
+            this.transientHitTestSource = null;
+        }
+        
+        if (this.isPreviewMode) {
+            this.endPreview();
+        }
+        
         // Clean up labels
         this.productLabels.forEach(labelData => {
             labelData.element.remove();
@@ -1449,14 +3482,7 @@ async checkWebXRSupport() {
         // Remove products from scene
         this.products.forEach(product => {
             this.scene.remove(product);
-            if (product.geometry) product.geometry.dispose();
-            if (product.material) {
-                if (Array.isArray(product.material)) {
-                    product.material.forEach(m => m.dispose());
-                } else {
-                    product.material.dispose();
-                }
-            }
+            this.disposeProduct(product);
         });
         this.products = [];
         
@@ -1477,7 +3503,28 @@ async checkWebXRSupport() {
             heatmap: this.analytics.heatmapData
         });
         
-        this.showToast('AR session ended. Analytics saved.', 'success');
+        this.showToast(this.t('toast.arEnded'), 'success');
+    }
+    
+    endPreview() {
+        this.isPreviewMode = false;
+        
+        const canvas = this.renderer.domElement;
+        Object.entries(this.previewListeners || {}).forEach(([type, listener]) => {
+            canvas.removeEventListener(type, listener);
+        });
+        this.previewListeners = null;
+        
+        if (this.controls) {
+            this.controls.dispose();
+            this.controls = null;
+        }
+        
+        this.scene.background = null;
+        this.floor.visible = false;
+        this.floorGrid.visible = false;
+        this.floorGrid.position.y = -1.5;
+        this.reticle.visible = false;
     }
     
     endSession() {
@@ -1498,13 +3545,98 @@ async checkWebXRSupport() {
         const sessionData = {
             timestamp: Date.now(),
             analytics: this.analytics,
-            cart: this.cart,
+            cart: this.cart.lines,
             wishlist: this.wishlist
         };
         
         const sessions = JSON.parse(localStorage.getItem('arplacementai_sessions') || '[]');
         sessions.push(sessionData);
         localStorage.setItem('arplacementai_sessions', JSON.stringify(sessions));
+        
+        this.trainRecommendations(sessions);
+    }
+    
+    trainRecommendations(sessions = null) {
+        if (!sessions) {
+            try {
+                sessions = JSON.parse(localStorage.getItem('arplacementai_sessions') || '[]');
+            } catch (error) {
+                console.warn('Ignoring unreadable session history:', error);
+                sessions = [];
+            }
+        }
+        this.recommendationEngine.train(sessions, this.userProfile);
+    }
+    
+    updateRecommendations() {
+        const placedIds = this.products.map(p => p.userData.productId);
+        const cartIds = this.cart.lines.map(item => item.id);
+        const wishlistIds = this.wishlist.map(item => item.id);
+        
+        // "Complete the room": what goes with the products already placed
+        const strip = document.getElementById('completeRoom');
+        if (strip) {
+            const items = placedIds.length ?
+                this.recommendationEngine.recommend(this.userProfile, this.productCatalog, {
+                    seedIds: [...new Set([...placedIds, ...cartIds])],
+                    limit: 4
+                }) : [];
+            
+            strip.querySelector('.complete-room-items').innerHTML = items.map(item => this.renderRecommendation(item)).join('');
+            strip.classList.toggle('show', items.length > 0);
+            this.bindRecommendationButtons(strip);
+        }
+        
+        // "You might also like" at the top of the catalog
+        const catalogRecommendations = document.getElementById('catalogRecommendations');
+        if (catalogRecommendations) {
+            const items = this.recommendationEngine.recommend(this.userProfile, this.productCatalog, {
+                context: this.dialogue.topic,
+                seedIds: [...new Set([...placedIds, ...cartIds, ...wishlistIds])],
+                limit: 3
+            });
+            
+            catalogRecommendations.innerHTML = items.length ? `
+                <div class="catalog-recommendations-title">${this.t('recommendations.title')}</div>
+                ${items.map(item => this.renderRecommendation(item)).join('')}
+            ` : '';
+            this.bindRecommendationButtons(catalogRecommendations);
+        }
+    }
+    
+    renderRecommendation({ product, reason }) {
+        const params = { ...reason.params };
+        if (params.category) params.category = this.t(`category.${params.category}`).toLowerCase();
+        return `
+            <div class="recommendation-item">
+                <div class="recommendation-info">
+                    <div class="recommendation-name">${product.name}</div>
+                    <div class="recommendation-reason">${this.t(`recommendations.reason.${reason.code}`, params)}</div>
+                </div>
+                <span class="recommendation-price">${this.formatPrice(product)}</span>
+                <button class="icon-btn-small place-recommendation" data-product="${product.id}" title="${this.t('recommendations.place', { name: product.name })}">
+                    <i class="fas fa-plus"></i>
+                </button>
+            </div>
+        `;
+    }
+    
+    bindRecommendationButtons(container) {
+        container.querySelectorAll('.place-recommendation').forEach(button => {
+            button.addEventListener('click', () => {
+                const product = this.productCatalog.find(p => p.id === button.dataset.product);
+                if (!product) return;
+                
+                if (!this.reticle.visible) {
+                    this.showToast(this.t('toast.needSurface'), 'error');
+                    return;
+                }
+                
+                this.trackInteraction(product.id, 'recommendation');
+                this.placeProduct(product);
+                this.hideCatalog();
+            });
+        });
     }
     
     showToast(message, type = 'error') {
@@ -1549,6 +3681,27 @@ async checkWebXRSupport() {
         localStorage.setItem('arplacementai_preferences', JSON.stringify(this.userPreferences));
     }
     
+    setLocale(locale) {
+        this.locale = resolveLocale(locale);
+        this.t = createTranslator(this.locale);
+        this.userPreferences.locale = this.locale;
+        this.saveUserPreferences();
+        
+        // Match against the catalog in the new language; earlier turns no longer apply
+        this.productCatalog = localizeCatalog(this.sourceCatalog, this.locale);
+        this.aiEngine.setLocale(this.locale);
+        this.aiEngine.indexCatalog(this.productCatalog);
+        this.dialogue = new DialogueState();
+        this.cart.sync(this.productCatalog);
+        
+        // Only offered on the start screen, so the whole overlay can be rebuilt
+        this.setupUI();
+        this.updateStartButton();
+        this.updateCartUI();
+        document.getElementById('loading').style.display = 'none';
+        document.getElementById('startScreen').style.display = 'flex';
+    }
+    
     getActiveBrands() {
         const brands = new Set(this.productCatalog.map(p => p.brand));
         return brands.size;
@@ -1556,145 +3709,524 @@ async checkWebXRSupport() {
 }
 
 // ============================================
-// ENHANCED CONTEXTUAL AI ENGINE
+// LAYOUT STORE
 // ============================================
 
-class EnhancedContextualAI {
-    analyzeContext(input, catalog, userProfile = null) {
-        const words = input.toLowerCase().split(/\s+/);
-        const suggestions = [];
-        
-        catalog.forEach(product => {
-            let score = 0;
-            let matches = 0;
-            let reason = '';
-            
-            // 1. Check trigger word matches
-            product.triggers.forEach(trigger => {
-                if (words.some(word => {
-                    const wordMatch = word.includes(trigger) || trigger.includes(word);
-                    const levenshteinDistance = this.calculateLevenshtein(word, trigger);
-                    return wordMatch || levenshteinDistance <= 2;
-                })) {
-                    score += 2;
-                    matches++;
-                    reason = `Matched trigger word: ${trigger}`;
-                }
-            });
+class LayoutStore {
+    constructor(storageKey = 'arplacementai_layouts') {
+        this.storageKey = storageKey;
+    }
+    
+    list() {
+        return JSON.parse(localStorage.getItem(this.storageKey) || '[]')
+            .sort((a, b) => b.savedAt - a.savedAt);
+    }
+    
+    get(id) {
+        return this.list().find(layout => layout.id === id) || null;
+    }
+    
+    save(layout) {
+        const saved = {
+            ...layout,
+            id: 'layout_' + Date.now() + '_' + Math.random().toString(36).substring(2, 7)
+        };
+        const layouts = this.list();
+        layouts.push(saved);
+        localStorage.setItem(this.storageKey, JSON.stringify(layouts));
+        return saved;
+    }
+    
+    remove(id) {
+        const layouts = this.list().filter(layout => layout.id !== id);
+        localStorage.setItem(this.storageKey, JSON.stringify(layouts));
+    }
+    
+    serialize(layout) {
+        const { id, ...data } = layout;
+        return JSON.stringify({ format: 'arplacementai-layout', version: 1, ...data }, null, 2);
+    }
+    
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('file is not valid JSON');
+        }
+        
+        if (data?.format !== 'arplacementai-layout') {
+            throw new Error('not an ARplacementAI layout file');
+        }
+        if (!Array.isArray(data.items) || data.items.length === 0) {
+            throw new Error('layout has no products');
+        }
+        
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const items = data.items.map((item, index) => {
+            if (typeof item?.productId !== 'string' || !Array.isArray(item.offset) ||
+                item.offset.length !== 3 || !item.offset.every(isNumber)) {
+                throw new Error(`product ${index + 1} is malformed`);
+            }
             
-            // 2. Semantic similarity (simple implementation)
-            const inputTokens = new Set(words);
-            const productTokens = new Set([
-                ...product.tags,
-                ...product.name.toLowerCase().split(' '),
-                ...product.category ? [product.category] : []
-            ]);
-            
-            const intersection = [...inputTokens].filter(x => productTokens.has(x)).length;
-            score += intersection * 1.5;
-            
-            // 3. User preference weighting
-            if (userProfile) {
-                // Boost products in preferred categories
-                if (userProfile.preferences.categories.includes(product.category)) {
-                    score *= 1.3;
-                    reason = 'Matches your preferences';
-                }
-                
-                // Boost previously viewed products
-                if (userProfile.history.viewed.includes(product.id)) {
-                    score *= 1.2;
+            return {
+                productId: item.productId,
+                offset: item.offset,
+                rotationY: isNumber(item.rotationY) ? item.rotationY : 0,
+                userScale: isNumber(item.userScale) && item.userScale > 0 ? item.userScale : 1,
+                // Ends up in style attributes (cart variant swatch), so hex colours only
+                color: typeof item.color === 'string' && /^#[0-9a-f]{6}$/i.test(item.color) ? item.color : null
+            };
+        });
+        
+        return {
+            name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Imported layout',
+            savedAt: isNumber(data.savedAt) ? data.savedAt : Date.now(),
+            items
+        };
+    }
+}
+
+// ============================================
+// MODEL CACHE
+// ============================================
+
+class ModelCache {
+    constructor(loadFn, options = {}) {
+        this.loadFn = loadFn;
+        
+        // Budget scales with device memory (GB) when the browser reports it
+        const deviceMemory = typeof navigator !== 'undefined' && navigator.deviceMemory;
+        this.maxBytes = options.maxBytes || (deviceMemory ? Math.min(256, deviceMemory * 16) : 64) * 1024 * 1024;
+        
+        // Map iteration order doubles as LRU order (oldest first)
+        this.entries = new Map();
+        this.pending = new Map();
+        this.instances = new WeakMap(); // placed clone -> cache entry
+        this.totalBytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+    }
+    
+    async get(url, { onProgress, signal } = {}) {
+        const entry = this.entries.get(url);
+        if (entry) {
+            this.hits++;
+            this.touch(url, entry);
+            return entry;
+        }
+        
+        // De-duplicate concurrent requests for the same model
+        let load = this.pending.get(url);
+        if (load) {
+            this.hits++;
+        } else {
+            this.misses++;
+            load = this.startLoad(url);
+        }
+        
+        return this.waitFor(load, { onProgress, signal });
+    }
+    
+    startLoad(url) {
+        const load = {
+            controller: new AbortController(),
+            listeners: new Set(),
+            waiters: 0,
+            promise: null
+        };
+        
+        load.promise = this.loadFn(url, {
+            signal: load.controller.signal,
+            onProgress: (progress) => load.listeners.forEach(listener => listener(progress))
+        })
+            .then(template => {
+                // Finished despite the abort; a newer load of this url may already be under way
+                if (load.controller.signal.aborted) {
+                    this.disposeTemplate(template);
+                    throw new DOMException('Model load cancelled', 'AbortError');
                 }
                 
-                // Boost brands the user likes
-                if (userProfile.preferences.brandPreferences.includes(product.brand)) {
-                    score *= 1.25;
-                }
+                // Mark shared resources so per-placement disposal leaves them alone
+                template.traverse(child => {
+                    if (child.isMesh) child.userData.isCachedAsset = true;
+                });
                 
-                // Price range consideration
-                const userPriceRange = userProfile.preferences.priceRange || { min: 0, max: 1000 };
-                if (product.price >= userPriceRange.min && product.price <= userPriceRange.max) {
-                    score *= 1.1;
-                } else {
-                    score *= 0.8; // Penalize out of range
-                }
-            }
+                const loaded = {
+                    template,
+                    bytes: this.estimateBytes(template),
+                    refs: 0
+                };
+                this.entries.set(url, loaded);
+                this.totalBytes += loaded.bytes;
+                this.evict(url);
+                return loaded;
+            })
+            .finally(() => this.forget(url, load));
+        
+        // Aborted loads stop being shared at once, so the next get() starts afresh
+        // instead of joining one that can only reject
+        load.controller.signal.addEventListener('abort', () => this.forget(url, load), { once: true });
+        
+        this.pending.set(url, load);
+        return load;
+    }
+    
+    forget(url, load) {
+        if (this.pending.get(url) === load) this.pending.delete(url);
+    }
+    
+    waitFor(load, { onProgress, signal }) {
+        if (signal?.aborted) {
+            return Promise.reject(new DOMException('Model load cancelled', 'AbortError'));
+        }
+        
+        load.waiters++;
+        if (onProgress) load.listeners.add(onProgress);
+        
+        let waiting = true;
+        const leave = () => {
+            if (!waiting) return;
+            waiting = false;
+            load.waiters--;
+            if (onProgress) load.listeners.delete(onProgress);
+        };
+        
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                leave();
+                // Nobody else (including a preload) still wants it: stop the download
+                if (load.waiters === 0) load.controller.abort();
+                reject(new DOMException('Model load cancelled', 'AbortError'));
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
             
-            // 4. Contextual boosting based on time, weather, etc.
-            const hour = new Date().getHours();
-            if (hour >= 6 && hour <= 10) {
-                // Morning - boost coffee, breakfast items
-                if (product.tags.includes('coffee') || product.tags.includes('breakfast')) {
-                    score *= 1.4;
-                    reason = 'Perfect for morning!';
-                }
-            } else if (hour >= 17 && hour <= 20) {
-                // Evening - boost relaxation items
-                if (product.tags.includes('relax') || product.tags.includes('home')) {
-                    score *= 1.3;
-                }
-            }
+            load.promise
+                .then(resolve, reject)
+                .finally(() => {
+                    signal?.removeEventListener('abort', onAbort);
+                    leave();
+                });
+        });
+    }
+    
+    async preload(url) {
+        await this.get(url);
+    }
+    
+    async acquire(url, options = {}) {
+        let entry = await this.get(url, options);
+        // Another load finishing while this one resumed can evict and dispose
+        // an entry nobody had claimed yet; load it again rather than clone it
+        while (entry.disposed) {
+            entry = await this.get(url, options);
+        }
+        entry.refs++;
+        
+        // Cheap copy sharing geometry, materials and textures (SkeletonUtils keeps skinning intact)
+        const instance = SkeletonUtils.clone(entry.template);
+        instance.userData.modelSize = entry.template.userData.modelSize.clone();
+        this.instances.set(instance, entry);
+        return instance;
+    }
+    
+    release(instance) {
+        const entry = this.instances.get(instance);
+        if (!entry) return;
+        
+        this.instances.delete(instance);
+        entry.refs = Math.max(0, entry.refs - 1);
+        
+        // Evicted while still placed: free it now that the last placement is gone
+        if (entry.refs === 0 && entry.evicted) {
+            entry.disposed = true;
+            this.disposeTemplate(entry.template);
+        }
+    }
+    
+    touch(url, entry) {
+        this.entries.delete(url);
+        this.entries.set(url, entry);
+    }
+    
+    evict(keepUrl = null) {
+        for (const [url, entry] of this.entries) {
+            if (this.totalBytes <= this.maxBytes) break;
+            if (url === keepUrl) continue;
             
-            // 5. Stock and popularity factors
-            if (product.stock <= 0) {
-                score *= 0.5; // Penalize out of stock
-            } else if (product.stock < 10) {
-                score *= 1.2; // Boost low stock for urgency
-                reason = 'Low stock - buy now!';
-            }
+            this.entries.delete(url);
+            this.totalBytes -= entry.bytes;
             
-            if (product.rating >= 4.5) {
-                score *= 1.25; // Boost highly rated products
+            if (entry.refs > 0) {
+                // Still on screen; dispose once released
+                entry.evicted = true;
+            } else {
+                entry.disposed = true;
+                this.disposeTemplate(entry.template);
             }
-            
-            // 6. Discount boosting
-            if (product.discount && product.discount > 15) {
-                score *= 1.3;
-                reason = `${product.discount}% off!`;
+        }
+    }
+    
+    estimateBytes(object) {
+        const seen = new Set();
+        let bytes = 0;
+        
+        object.traverse(child => {
+            const geometry = child.geometry;
+            if (geometry && !seen.has(geometry)) {
+                seen.add(geometry);
+                Object.values(geometry.attributes).forEach(attribute => {
+                    bytes += attribute.array.byteLength;
+                });
+                if (geometry.index) bytes += geometry.index.array.byteLength;
             }
             
-            // Calculate confidence (0-1)
-            const confidence = Math.min(1, score / 20);
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.filter(Boolean).forEach(material => {
+                Object.values(material).forEach(value => {
+                    if (value?.isTexture && !seen.has(value) && value.image) {
+                        seen.add(value);
+                        // RGBA plus roughly a third again for mipmaps
+                        bytes += (value.image.width || 0) * (value.image.height || 0) * 4 * 4 / 3;
+                    }
+                });
+            });
+        });
+        
+        return Math.round(bytes);
+    }
+    
+    disposeTemplate(template) {
+        template.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
             
-            if (confidence > 0.1) { // Minimum confidence threshold
-                suggestions.push({
-                    product,
-                    confidence,
-                    matches,
-                    reason,
-                    score
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.filter(Boolean).forEach(material => {
+                Object.values(material).forEach(value => {
+                    if (value?.isTexture) value.dispose();
                 });
-            }
+                material.dispose();
+            });
         });
+    }
+    
+    getStats() {
+        return {
+            entries: this.entries.size,
+            pending: this.pending.size,
+            megabytes: +(this.totalBytes / (1024 * 1024)).toFixed(2),
+            budgetMegabytes: +(this.maxBytes / (1024 * 1024)).toFixed(2),
+            hits: this.hits,
+            misses: this.misses
+        };
+    }
+}
+
+// ============================================
+// XR LIGHTING
+// ============================================
+
+class XRLightingSystem {
+    constructor(scene, renderer) {
+        this.scene = scene;
+        this.renderer = renderer;
+        this.isEstimating = false;
+        
+        // Static rig, used in the 3D preview and whenever light estimation isn't granted
+        this.staticRig = new THREE.Group();
+        
+        const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+        this.staticRig.add(ambientLight);
+        
+        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+        directionalLight.position.set(5, 5, 5);
+        this.staticRig.add(directionalLight);
+        
+        this.scene.add(this.staticRig);
         
-        // Sort by score
-        return suggestions.sort((a, b) => b.score - a.score);
+        // Estimated light: spherical harmonics ambient, primary directional light and
+        // a reflection cube map, all driven by the session's XRLightProbe
+        this.estimatedLight = new XREstimatedLight(renderer);
+        this.estimatedLight.addEventListener('estimationstart', () => this.useEstimatedLight());
+        this.estimatedLight.addEventListener('estimationend', () => this.useStaticRig());
+        
+        this.shadowMaterial = new THREE.MeshBasicMaterial({
+            color: 0x000000,
+            map: this.createShadowTexture(),
+            transparent: true,
+            opacity: 0.5,
+            depthWrite: false,
+            polygonOffset: true,
+            polygonOffsetFactor: -1
+        });
     }
     
-    calculateLevenshtein(a, b) {
-        if (a.length === 0) return b.length;
-        if (b.length === 0) return a.length;
+    useEstimatedLight() {
+        this.isEstimating = true;
+        this.scene.remove(this.staticRig);
+        this.scene.add(this.estimatedLight);
         
-        const matrix = [];
-        for (let i = 0; i <= b.length; i++) {
-            matrix[i] = [i];
+        if (this.estimatedLight.environment) {
+            this.scene.environment = this.estimatedLight.environment;
         }
-        for (let j = 0; j <= a.length; j++) {
-            matrix[0][j] = j;
+    }
+    
+    useStaticRig() {
+        this.isEstimating = false;
+        this.scene.remove(this.estimatedLight);
+        this.scene.add(this.staticRig);
+        this.scene.environment = null;
+    }
+    
+    update() {
+        // Estimated environment map arrives after estimation starts
+        if (this.isEstimating && this.estimatedLight.environment && !this.scene.environment) {
+            this.scene.environment = this.estimatedLight.environment;
         }
         
-        for (let i = 1; i <= b.length; i++) {
-            for (let j = 1; j <= a.length; j++) {
-                const cost = a.charAt(j - 1) === b.charAt(i - 1) ? 0 : 1;
-                matrix[i][j] = Math.min(
-                    matrix[i - 1][j] + 1,
-                    matrix[i][j - 1] + 1,
-                    matrix[i - 1][j - 1] + cost
-                );
-            }
-        }
+        // Contact shadows darken with a stronger primary light
+        const intensity = this.isEstimating ? this.estimatedLight.directionalLight.intensity : 0.8;
+        this.shadowMaterial.opacity = Math.min(0.7, 0.2 + intensity * 0.3);
+    }
+    
+    createShadowTexture() {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 128;
+        
+        const context = canvas.getContext('2d');
+        const gradient = context.createRadialGradient(64, 64, 0, 64, 64, 64);
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        gradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.5)');
+        gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, 128, 128);
+        
+        return new THREE.CanvasTexture(canvas);
+    }
+    
+    addContactShadow(productMesh, localBounds) {
+        if (localBounds.isEmpty()) return null;
+        
+        const size = localBounds.getSize(new THREE.Vector3());
+        const center = localBounds.getCenter(new THREE.Vector3());
+        
+        // Soft blob slightly larger than the product footprint, just above its base
+        const geometry = new THREE.PlaneGeometry(size.x * 1.4, size.z * 1.4).rotateX(-Math.PI / 2);
+        const shadow = new THREE.Mesh(geometry, this.shadowMaterial);
+        shadow.position.set(center.x, localBounds.min.y + 0.001, center.z);
+        shadow.renderOrder = -1;
+        shadow.raycast = () => {}; // Not pickable
+        shadow.userData.isContactShadow = true;
+        
+        productMesh.add(shadow);
+        return shadow;
+    }
+}
+
+// ============================================
+// MEASUREMENT TOOL
+// ============================================
+
+class MeasurementTool {
+    constructor(scene) {
+        this.scene = scene;
+        this.active = false;
+        this.points = [];
+        this.markers = [];
+        
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        this.scene.add(this.group);
+        
+        this.markerGeometry = new THREE.SphereGeometry(0.012, 16, 8);
+        this.markerMaterial = new THREE.MeshBasicMaterial({ color: 0x00ccff });
+        this.lineMaterial = new THREE.LineBasicMaterial({ color: 0x00ccff, depthTest: false });
+        
+        this.line = new THREE.Line(new THREE.BufferGeometry(), this.lineMaterial);
+        this.line.renderOrder = 5;
+        this.group.add(this.line);
+        
+        // Dashed segment from the last point to the reticle
+        this.previewLine = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]),
+            new THREE.LineDashedMaterial({ color: 0x00ccff, dashSize: 0.02, gapSize: 0.02, depthTest: false })
+        );
+        this.previewLine.visible = false;
+        this.previewLine.renderOrder = 5;
+        this.group.add(this.previewLine);
+    }
+    
+    setActive(active) {
+        this.active = active;
+        this.group.visible = active;
+    }
+    
+    addPoint(point) {
+        this.points.push(point.clone());
+        
+        const marker = new THREE.Mesh(this.markerGeometry, this.markerMaterial);
+        marker.position.copy(point);
+        this.group.add(marker);
+        this.markers.push(marker);
+        
+        this.updateLine();
+    }
+    
+    undo() {
+        if (this.points.length === 0) return;
         
-        return matrix[b.length][a.length];
+        this.points.pop();
+        this.group.remove(this.markers.pop());
+        this.updateLine();
+    }
+    
+    clear() {
+        this.points = [];
+        this.markers.forEach(marker => this.group.remove(marker));
+        this.markers = [];
+        this.updateLine();
+    }
+    
+    updateLine() {
+        this.line.geometry.dispose();
+        this.line.geometry = new THREE.BufferGeometry().setFromPoints(this.points);
+    }
+    
+    update(reticlePosition) {
+        const last = this.points[this.points.length - 1];
+        this.previewLine.visible = Boolean(this.active && last && reticlePosition);
+        if (!this.previewLine.visible) return;
+        
+        this.previewLine.geometry.setFromPoints([last, reticlePosition]);
+        this.previewLine.computeLineDistances();
+    }
+    
+    getSegmentLengths() {
+        return this.points.slice(1).map((point, index) => point.distanceTo(this.points[index]));
+    }
+    
+    getFootprint() {
+        if (this.points.length < 2) return null;
+        
+        // Two points measure a span; more points give the rectangle aligned to the first
+        // segment that encloses them all
+        const origin = this.points[0];
+        const along = new THREE.Vector2(this.points[1].x - origin.x, this.points[1].z - origin.z).normalize();
+        const across = new THREE.Vector2(-along.y, along.x);
+        
+        let minAlong = 0, maxAlong = 0, minAcross = 0, maxAcross = 0;
+        this.points.forEach(point => {
+            const offset = new THREE.Vector2(point.x - origin.x, point.z - origin.z);
+            minAlong = Math.min(minAlong, offset.dot(along));
+            maxAlong = Math.max(maxAlong, offset.dot(along));
+            minAcross = Math.min(minAcross, offset.dot(across));
+            maxAcross = Math.max(maxAcross, offset.dot(across));
+        });
+        
+        return {
+            width: maxAlong - minAlong,
+            depth: this.points.length === 2 ? Infinity : maxAcross - minAcross
+        };
     }
 }
 
@@ -1703,43 +4235,162 @@ class EnhancedContextualAI {
 // ============================================
 
 class RecommendationEngine {
-    getRecommendations(userProfile, catalog, context = null) {
-        let recommendations = [];
+    constructor(aiEngine = new EnhancedContextualAI()) {
+        this.aiEngine = aiEngine;
+        
+        // How strongly each kind of history ties products together
+        this.signalWeights = { purchase: 3, cart: 2, wishlist: 1 };
+        
+        // productId -> Map(productId -> weighted co-occurrence)
+        this.cooccurrence = new Map();
+        // productId -> weighted occurrence count, for normalisation
+        this.occurrences = new Map();
+    }
+    
+    // Rebuilds item-to-item co-occurrence from stored sessions and orders.
+    // Each session (or order) is one basket of purchased, carted and wishlisted products.
+    train(sessions = [], userProfile = null) {
+        const baskets = [];
+        
+        sessions.forEach(session => {
+            const basket = new Map();
+            const add = (id, weight) => {
+                if (id) basket.set(id, Math.max(basket.get(id) || 0, weight));
+            };
+            
+            Object.keys(session.analytics?.conversions || {}).forEach(id => add(id, this.signalWeights.purchase));
+            (session.cart || []).forEach(item => add(item.id, this.signalWeights.cart));
+            (session.wishlist || []).forEach(item => add(item.id, this.signalWeights.wishlist));
+            baskets.push(basket);
+        });
+        
+        (userProfile?.history.purchased || []).forEach(order => {
+            baskets.push(new Map((order.items || []).map(item => [item.id, this.signalWeights.purchase])));
+        });
+        
+        this.cooccurrence.clear();
+        this.occurrences.clear();
+        
+        baskets.forEach(basket => {
+            const entries = [...basket];
+            entries.forEach(([id, weight]) => {
+                this.occurrences.set(id, (this.occurrences.get(id) || 0) + weight);
+            });
+            
+            entries.forEach(([a, weightA], i) => {
+                entries.slice(i + 1).forEach(([b, weightB]) => {
+                    const weight = Math.min(weightA, weightB);
+                    this.addCooccurrence(a, b, weight);
+                    this.addCooccurrence(b, a, weight);
+                });
+            });
+        });
+        
+        return this;
+    }
+    
+    addCooccurrence(a, b, weight) {
+        if (!this.cooccurrence.has(a)) this.cooccurrence.set(a, new Map());
+        const row = this.cooccurrence.get(a);
+        row.set(b, (row.get(b) || 0) + weight);
+    }
+    
+    // Cosine-normalised so popular products don't pair with everything
+    similarity(a, b) {
+        const count = this.cooccurrence.get(a)?.get(b) || 0;
+        if (!count) return 0;
+        return count / Math.sqrt(this.occurrences.get(a) * this.occurrences.get(b));
+    }
+    
+    // Products that co-occur with any of the seeds, each with the seed that ties it in most
+    getSimilarItems(seedIds, catalog, limit = 4) {
+        const seeds = new Set(seedIds);
+        const scores = new Map();
+        
+        seeds.forEach(seedId => {
+            this.cooccurrence.get(seedId)?.forEach((_, id) => {
+                if (seeds.has(id)) return;
+                
+                const similarity = this.similarity(seedId, id);
+                const entry = scores.get(id) || { score: 0, because: null, best: 0 };
+                entry.score += similarity;
+                if (similarity > entry.best) {
+                    entry.best = similarity;
+                    entry.because = seedId;
+                }
+                scores.set(id, entry);
+            });
+        });
+        
+        return [...scores]
+            .map(([id, entry]) => ({
+                product: catalog.find(p => p.id === id),
+                score: entry.score,
+                because: catalog.find(p => p.id === entry.because)
+            }))
+            .filter(item => item.product && item.product.stock > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+    
+    // Ranked recommendations, never repeating a seed. Each reason is
+    // { code, params } for the app to translate as 'recommendations.reason.<code>'.
+    recommend(userProfile, catalog, { context = null, seedIds = [], limit = 3 } = {}) {
+        const exclude = new Set(seedIds);
+        const purchasedIds = (userProfile?.history.purchased || []).flatMap(order => order.items.map(item => item.id));
+        
+        // Item-to-item co-occurrence, seeded by what's in the room/cart or else past purchases
+        let recommendations = this.getSimilarItems(seedIds.length ? seedIds : purchasedIds, catalog, limit)
+            .filter(item => !exclude.has(item.product.id))
+            .map(item => ({
+                product: item.product,
+                reason: item.because ?
+                    { code: 'chosenWith', params: { name: item.because.name } } :
+                    { code: 'chosenTogether' }
+            }));
+        
+        // Content-based filtering
+        if (recommendations.length === 0 && context) {
+            const suggestions = this.aiEngine.analyzeContext(context, catalog, userProfile);
+            recommendations = suggestions
+                .filter(s => !exclude.has(s.product.id))
+                .slice(0, limit)
+                .map(s => ({ product: s.product, reason: { code: 'matchesRequest' } }));
+        }
         
-        // Collaborative filtering (simulated)
-        if (userProfile.history.purchased.length > 0) {
-            const purchasedCategories = userProfile.history.purchased
-                .flatMap(order => order.items)
-                .map(item => catalog.find(p => p.id === item.id)?.category)
+        // Most-purchased category
+        if (recommendations.length === 0 && purchasedIds.length > 0) {
+            const purchasedCategories = purchasedIds
+                .map(id => catalog.find(p => p.id === id)?.category)
                 .filter(Boolean);
             
             const mostPurchasedCategory = this.getMostFrequent(purchasedCategories);
             
             if (mostPurchasedCategory) {
                 recommendations = catalog
-                    .filter(p => p.category === mostPurchasedCategory)
+                    .filter(p => p.category === mostPurchasedCategory && !exclude.has(p.id))
                     .sort((a, b) => b.rating - a.rating)
-                    .slice(0, 3);
+                    .slice(0, limit)
+                    .map(product => ({ product, reason: { code: 'moreCategory', params: { category: mostPurchasedCategory } } }));
             }
         }
         
-        // Content-based filtering
-        if (recommendations.length === 0 && context) {
-            const ai = new EnhancedContextualAI();
-            const suggestions = ai.analyzeContext(context, catalog, userProfile);
-            recommendations = suggestions.slice(0, 3).map(s => s.product);
-        }
-        
         // Popular items fallback
         if (recommendations.length === 0) {
-            recommendations = catalog
+            recommendations = [...catalog]
+                .filter(p => !exclude.has(p.id))
                 .sort((a, b) => b.rating - a.rating)
-                .slice(0, 3);
+                .slice(0, limit)
+                .map(product => ({ product, reason: { code: 'popular' } }));
         }
         
         return recommendations;
     }
     
+    getRecommendations(userProfile, catalog, context = null) {
+        return this.recommend(userProfile, catalog, { context }).map(item => item.product);
+    }
+    
     getMostFrequent(arr) {
         return arr.sort((a, b) =>
             arr.filter(v => v === a).length - arr.filter(v => v === b).length
@@ -1789,6 +4440,20 @@ class BrandAPI {
         }
     }
     
+    async fetchRules() {
+        try {
+            const response = await fetch('./business-rules.json', { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return await response.json();
+            
+        } catch (error) {
+            console.warn('Merchandising rules fetch failed:', error);
+            return null;
+        }
+    }
+    
     async trackSessionStart() {
         const data = {
             sessionId: this.sessionId,
@@ -1884,26 +4549,53 @@ class BrandAPI {
 // ============================================
 
 class PaymentProcessor {
-    constructor() {
-        // In production, this would be initialized with real Stripe keys
-        // this.stripe = Stripe('pk_test_your_key_here');
+    constructor(adapter = new MockGatewayAdapter()) {
+        // In production this would be an adapter around Stripe.js with real keys
+        this.adapter = adapter;
     }
     
-    async processPayment(paymentData) {
-        // Simulate payment processing
-        await new Promise(resolve => setTimeout(resolve, 1500));
+    // Runs the payment intent flow. onAction(intent) is called when the
+    // gateway needs 3-D Secure or a PayPal approval and resolves to whether
+    // the shopper approved. Throws PaymentError when the payment fails.
+    async processPayment(paymentData, { onAction = async () => false } = {}) {
+        const paymentMethod = await this.adapter.createPaymentMethod(paymentData.method);
+        let intent = await this.adapter.createIntent({
+            amountCents: paymentData.amountCents,
+            currency: 'usd',
+            metadata: { items: paymentData.items.map(item => item.key).join(',') }
+        });
         
-        // In production, this would:
-        // 1. Create a payment intent with Stripe
-        // 2. Handle 3D Secure authentication
-        // 3. Confirm payment
-        // 4. Return result
+        try {
+            intent = await this.adapter.confirmIntent(intent.id, { paymentMethod: paymentMethod.id });
+            
+            if (intent.status === 'requires_action') {
+                const approved = await onAction(intent);
+                intent = await this.adapter.authenticateIntent(intent.id, { approved });
+            }
+        } catch (error) {
+            // Don't leave a timed-out intent able to capture later
+            this.adapter.cancelIntent(intent.id).catch(() => {});
+            throw error;
+        }
+        
+        if (intent.status !== 'succeeded') {
+            const { code = 'card_declined', message = 'Payment failed' } = intent.lastError || {};
+            throw new PaymentError(code, message, { intentId: intent.id });
+        }
         
         return {
             success: true,
             orderId: 'ORD_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9).toUpperCase(),
-            amount: paymentData.amount,
-            transactionId: 'TX_' + Date.now(),
+            amount: intent.amountCents / 100,
+            amountCents: intent.amountCents,
+            intentId: intent.id,
+            transactionId: intent.chargeId,
+            // Safe to keep: never more of the card than brand and last four digits
+            paymentMethod: {
+                type: paymentMethod.type,
+                brand: paymentMethod.card?.brand || null,
+                last4: paymentMethod.card?.last4 || null
+            },
             timestamp: Date.now()
         };
     }
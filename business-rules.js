@@ -0,0 +1,181 @@
+// ============================================
+// MERCHANDISING RULES
+// ============================================
+//
+// Boosts and penalties that merchandisers own, loaded from a JSON rules file
+// (business-rules.json) alongside the catalog instead of living in code:
+//
+//   {
+//     "id": "morning-coffee",
+//     "label": "Perfect for morning!",
+//     "multiplier": 1.4,
+//     "when": { "tags": ["coffee", "breakfast"], "hours": [6, 10] }
+//   }
+//
+// A rule fires when every condition in `when` holds. Conditions:
+//
+//   tags, category, brand   product has any of the listed values (a single
+//                           string is fine for one value)
+//   hours                   [from, to] local hours, inclusive; from > to
+//                           wraps past midnight ([22, 2])
+//   days                    weekdays it runs on, "mon".."sun"
+//   from, until             ISO dates bounding a campaign, inclusive
+//   stock, rating,          numeric comparisons: { "gt", "gte", "lt", "lte" }
+//   discount, price
+//
+// Labels may reference product fields: "Rated {rating}★", "{discount}% off!".
+// Set "enabled": false to park a rule without deleting it.
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const LIST_CONDITIONS = ['tags', 'category', 'brand'];
+const NUMERIC_CONDITIONS = ['stock', 'rating', 'discount', 'price'];
+const COMPARATORS = {
+    gt: (value, limit) => value > limit,
+    gte: (value, limit) => value >= limit,
+    lt: (value, limit) => value < limit,
+    lte: (value, limit) => value <= limit
+};
+
+// The boosts the engine shipped with, used until a rules file is loaded
+export const DEFAULT_RULES = [
+    {
+        id: 'morning-coffee',
+        label: 'Perfect for morning!',
+        multiplier: 1.4,
+        when: { tags: ['coffee', 'breakfast'], hours: [6, 10] }
+    },
+    {
+        id: 'evening-relax',
+        label: 'Nice for the evening',
+        multiplier: 1.3,
+        when: { tags: ['relax', 'home'], hours: [17, 20] }
+    },
+    {
+        id: 'out-of-stock',
+        label: 'Out of stock',
+        multiplier: 0.5,
+        when: { stock: { lte: 0 } }
+    },
+    {
+        id: 'low-stock-urgency',
+        label: 'Low stock - buy now!',
+        multiplier: 1.2,
+        when: { stock: { gt: 0, lt: 10 } }
+    },
+    {
+        id: 'top-rated',
+        label: 'Rated {rating}★',
+        multiplier: 1.25,
+        when: { rating: { gte: 4.5 } }
+    },
+    {
+        id: 'big-discount',
+        label: '{discount}% off!',
+        multiplier: 1.3,
+        when: { discount: { gt: 15 } }
+    }
+];
+
+const asList = value => (Array.isArray(value) ? value : [value]);
+
+function validateRule(rule) {
+    const problems = [];
+    if (!rule || typeof rule !== 'object') return ['not an object'];
+    if (!rule.id) problems.push('missing id');
+    if (!(typeof rule.multiplier === 'number' && rule.multiplier > 0)) {
+        problems.push('multiplier must be a positive number');
+    }
+
+    Object.entries(rule.when || {}).forEach(([condition, value]) => {
+        if (LIST_CONDITIONS.includes(condition)) {
+            if (!asList(value).every(item => typeof item === 'string')) problems.push(`${condition} must list strings`);
+        } else if (NUMERIC_CONDITIONS.includes(condition)) {
+            const operators = Object.keys(value || {});
+            if (!operators.length || operators.some(op => !COMPARATORS[op] || typeof value[op] !== 'number')) {
+                problems.push(`${condition} needs numeric gt/gte/lt/lte`);
+            }
+        } else if (condition === 'hours') {
+            if (!Array.isArray(value) || value.length !== 2 || value.some(h => !(h >= 0 && h <= 23))) {
+                problems.push('hours must be [from, to] between 0 and 23');
+            }
+        } else if (condition === 'days') {
+            if (!asList(value).every(day => DAYS.includes(String(day).toLowerCase()))) {
+                problems.push(`days must be from ${DAYS.join(', ')}`);
+            }
+        } else if (condition === 'from' || condition === 'until') {
+            if (Number.isNaN(Date.parse(value))) problems.push(`${condition} is not a date`);
+        } else {
+            problems.push(`unknown condition "${condition}"`);
+        }
+    });
+
+    return problems;
+}
+
+// Accepts a parsed rules file ({ rules: [...] }) or a bare array. Invalid
+// rules are dropped and reported rather than failing the whole file, so one
+// typo doesn't switch every boost off. A file with no rules array at all
+// gives rules: null, meaning "keep whatever is loaded now".
+export function compileRules(definition) {
+    const rules = [];
+    const errors = [];
+    const list = Array.isArray(definition) ? definition : definition?.rules;
+
+    if (!Array.isArray(list)) {
+        return { rules: null, errors: ['Rules file must contain a "rules" array'] };
+    }
+
+    const seen = new Set();
+    list.forEach((rule, i) => {
+        const problems = validateRule(rule);
+        if (rule?.id && seen.has(rule.id)) problems.push('duplicate id');
+
+        if (problems.length) {
+            errors.push(`Rule ${rule?.id || `#${i + 1}`}: ${problems.join('; ')}`);
+            return;
+        }
+        seen.add(rule.id);
+        if (rule.enabled === false) return;
+
+        const when = { ...rule.when };
+        if (when.days) when.days = asList(when.days).map(day => DAYS.indexOf(String(day).toLowerCase()));
+        // A bare "until" date covers that whole day
+        if (when.from) when.from = new Date(when.from).getTime();
+        if (when.until) when.until = new Date(when.until).getTime() + (/T/.test(rule.when.until) ? 0 : 86399999);
+
+        rules.push({ id: rule.id, label: rule.label || rule.id, multiplier: rule.multiplier, when });
+    });
+
+    return { rules, errors };
+}
+
+function inHours([from, to], hour) {
+    return from <= to ? hour >= from && hour <= to : hour >= from || hour <= to;
+}
+
+export function ruleMatches(rule, product, now) {
+    const { when } = rule;
+
+    for (const condition of LIST_CONDITIONS) {
+        if (when[condition] === undefined) continue;
+        const values = condition === 'tags' ? (product.tags || []) : [product[condition]];
+        if (!asList(when[condition]).some(value => values.includes(value))) return false;
+    }
+
+    for (const condition of NUMERIC_CONDITIONS) {
+        if (when[condition] === undefined) continue;
+        const value = product[condition] ?? 0;
+        if (!Object.entries(when[condition]).every(([op, limit]) => COMPARATORS[op](value, limit))) return false;
+    }
+
+    if (when.hours && !inHours(when.hours, now.getHours())) return false;
+    if (when.days && !when.days.includes(now.getDay())) return false;
+    if (when.from && now.getTime() < when.from) return false;
+    if (when.until && now.getTime() > when.until) return false;
+
+    return true;
+}
+
+export function formatRuleLabel(label, product) {
+    return label.replace(/\{(\w+)\}/g, (match, field) => product[field] ?? match);
+}
@@ -0,0 +1,251 @@
+// ============================================
+// CARD FORM
+// ============================================
+//
+// Formatting and validation for the checkout card fields, plus CardForm,
+// which wires them to the inputs in the payment modal: numbers are spaced as
+// the brand prints them, errors show inline once a field has been left, and
+// onChange reports whether the whole form is valid.
+//
+// Card data lives only in the inputs. value() hands it to the gateway
+// adapter at payment time; nothing here logs or saves it.
+
+export const CARD_BRANDS = {
+    visa: { label: 'Visa', icon: 'fa-cc-visa', pattern: /^4/, lengths: [13, 16, 19], gaps: [4, 8, 12], cvcLength: 3 },
+    mastercard: { label: 'Mastercard', icon: 'fa-cc-mastercard', pattern: /^(5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d\d|27[01]\d|2720)/, lengths: [16], gaps: [4, 8, 12], cvcLength: 3 },
+    amex: { label: 'American Express', icon: 'fa-cc-amex', pattern: /^3[47]/, lengths: [15], gaps: [4, 10], cvcLength: 4 },
+    discover: { label: 'Discover', icon: 'fa-cc-discover', pattern: /^(6011|65|64[4-9])/, lengths: [16, 19], gaps: [4, 8, 12], cvcLength: 3 }
+};
+
+// Used until the first digits identify a brand
+const UNKNOWN_BRAND = { label: 'Card', icon: 'fa-credit-card', lengths: [16], gaps: [4, 8, 12], cvcLength: 3 };
+
+const digitsOf = value => String(value || '').replace(/\D/g, '');
+
+export function detectBrand(number) {
+    const digits = digitsOf(number);
+    return Object.keys(CARD_BRANDS).find(brand => CARD_BRANDS[brand].pattern.test(digits)) || null;
+}
+
+function brandInfo(brand) {
+    return CARD_BRANDS[brand] || UNKNOWN_BRAND;
+}
+
+export function luhnCheck(number) {
+    const digits = digitsOf(number);
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return digits.length > 0 && sum % 10 === 0;
+}
+
+// "4242424242424242" -> "4242 4242 4242 4242", "378282246310005" -> "3782 822463 10005"
+export function formatCardNumber(value) {
+    const { lengths, gaps } = brandInfo(detectBrand(value));
+    const digits = digitsOf(value).slice(0, Math.max(...lengths));
+    return digits.split('').reduce((formatted, digit, i) => formatted + (gaps.includes(i) ? ' ' : '') + digit, '');
+}
+
+// "1", "12", "125" -> "1", "12/", "12/5"; a leading 2-9 means a single-digit
+// month. Four-digit years from paste or autofill ("12/2026", "1/2026",
+// "122026") keep their last two digits.
+export function formatExpiry(value, { deleting = false } = {}) {
+    const separated = String(value || '').match(/^\s*(\d{1,2})\s*[/.-]\s*(\d*)\s*$/);
+    let month;
+    let year;
+    if (separated) {
+        month = separated[1].padStart(2, '0');
+        year = separated[2];
+    } else {
+        let digits = digitsOf(value);
+        if (/^[2-9]/.test(digits)) digits = `0${digits}`;
+        month = digits.slice(0, 2);
+        year = digits.slice(2);
+    }
+
+    if (month.length < 2) return month;
+    if (year.length >= 4 && year.startsWith('20')) {
+        year = year.slice(2, 4);
+    } else if (!(year.length === 3 && year.startsWith('20'))) {
+        // Three digits starting "20" is a four-digit year still being typed
+        year = year.slice(0, 2);
+    }
+    if (!year) return deleting ? month : `${month}/`;
+    return `${month}/${year}`;
+}
+
+// Each validator returns null or an error code
+
+export function validateCardNumber(number) {
+    const digits = digitsOf(number);
+    if (!digits) return 'required';
+    if (!brandInfo(detectBrand(digits)).lengths.includes(digits.length)) return 'incomplete_number';
+    if (!luhnCheck(digits)) return 'invalid_number';
+    return null;
+}
+
+// Valid through the last day of the printed month
+export function validateExpiry(expiry, now = new Date()) {
+    const match = String(expiry || '').match(/^(\d{2})\s*\/\s*(\d{2})$/);
+    if (!String(expiry || '').trim()) return 'required';
+    if (!match) return 'incomplete_expiry';
+
+    const month = Number(match[1]);
+    const year = 2000 + Number(match[2]);
+    if (month < 1 || month > 12) return 'invalid_month';
+    if (year < now.getFullYear() || (year === now.getFullYear() && month < now.getMonth() + 1)) return 'expired';
+    if (year > now.getFullYear() + 20) return 'invalid_year';
+    return null;
+}
+
+export function validateCvc(cvc, brand = null) {
+    const digits = digitsOf(cvc);
+    if (!digits) return 'required';
+    if (digits.length !== brandInfo(brand).cvcLength || digits !== String(cvc).trim()) return 'invalid_cvc';
+    return null;
+}
+
+export function validateName(name) {
+    return String(name || '').trim() ? null : 'required';
+}
+
+// { number, expiry, cvc, name } -> { valid, brand, errors: { field: code } }
+export function validateCard(card, now = new Date()) {
+    const brand = detectBrand(card.number);
+    const errors = {};
+    const checks = {
+        number: validateCardNumber(card.number),
+        expiry: validateExpiry(card.expiry, now),
+        cvc: validateCvc(card.cvc, brand),
+        name: validateName(card.name)
+    };
+    Object.entries(checks).forEach(([field, error]) => {
+        if (error) errors[field] = error;
+    });
+    return { valid: Object.keys(errors).length === 0, brand, errors };
+}
+
+const FIELDS = {
+    number: 'cardNumber',
+    expiry: 'cardExpiry',
+    cvc: 'cardCvc',
+    name: 'cardName'
+};
+
+export class CardForm {
+    // root contains the #cardNumber, #cardExpiry, #cardCvc and #cardName
+    // inputs, a .field-error[data-field] for each, and a .card-brand icon.
+    // t(key) translates 'card.error.<code>' messages.
+    constructor(root, { t = key => key, onChange = () => {} } = {}) {
+        this.root = root;
+        this.t = t;
+        this.onChange = onChange;
+        this.touched = new Set();
+        this.inputs = {};
+        Object.entries(FIELDS).forEach(([field, id]) => {
+            this.inputs[field] = root.querySelector(`#${id}`);
+        });
+        this.result = this.validate();
+
+        this.inputs.number.addEventListener('input', () => {
+            this.reformat(this.inputs.number, formatCardNumber(this.inputs.number.value));
+        });
+        this.inputs.expiry.addEventListener('input', (e) => {
+            const deleting = e.inputType?.startsWith('delete');
+            this.reformat(this.inputs.expiry, formatExpiry(this.inputs.expiry.value, { deleting }));
+        });
+        this.inputs.cvc.addEventListener('input', () => {
+            const { cvcLength } = brandInfo(detectBrand(this.inputs.number.value));
+            this.reformat(this.inputs.cvc, digitsOf(this.inputs.cvc.value).slice(0, cvcLength));
+        });
+
+        Object.entries(this.inputs).forEach(([field, input]) => {
+            input.addEventListener('input', () => this.update());
+            input.addEventListener('blur', () => {
+                this.touched.add(field);
+                this.update();
+            });
+        });
+        // No onChange yet: the caller hasn't got hold of this form
+        this.update({ notify: false });
+    }
+
+    // Keeps the caret at the end of the typed digits rather than jumping
+    reformat(input, formatted) {
+        if (input.value === formatted) return;
+        const atEnd = input.selectionStart === input.value.length;
+        input.value = formatted;
+        if (atEnd) input.setSelectionRange(formatted.length, formatted.length);
+    }
+
+    validate() {
+        return validateCard({
+            number: this.inputs.number.value,
+            expiry: this.inputs.expiry.value,
+            cvc: this.inputs.cvc.value,
+            name: this.inputs.name.value
+        });
+    }
+
+    update({ notify = true } = {}) {
+        this.result = this.validate();
+        const { brand, errors } = this.result;
+
+        const brandIcon = this.root.querySelector('.card-brand');
+        if (brandIcon) {
+            brandIcon.className = `card-brand ${brand ? 'fab' : 'fas'} ${brandInfo(brand).icon}`;
+            brandIcon.title = brandInfo(brand).label;
+        }
+
+        Object.entries(this.inputs).forEach(([field, input]) => {
+            const error = this.touched.has(field) ? errors[field] : null;
+            const message = this.root.querySelector(`.field-error[data-field="${field}"]`);
+            input.classList.toggle('invalid', Boolean(error));
+            input.setAttribute('aria-invalid', error ? 'true' : 'false');
+            if (message) message.textContent = error ? this.t(`card.error.${error}`) : '';
+        });
+
+        if (notify) this.onChange(this.result.valid);
+    }
+
+    // Shows every error, e.g. when Pay is pressed on an untouched form
+    touchAll() {
+        Object.keys(this.inputs).forEach(field => this.touched.add(field));
+        this.update();
+    }
+
+    get valid() {
+        return this.result.valid;
+    }
+
+    get brand() {
+        return this.result.brand;
+    }
+
+    // For the gateway adapter only
+    value() {
+        const [month, year] = this.inputs.expiry.value.split('/').map(part => part.trim());
+        return {
+            number: digitsOf(this.inputs.number.value),
+            expMonth: Number(month),
+            expYear: 2000 + Number(year),
+            cvc: this.inputs.cvc.value,
+            name: this.inputs.name.value.trim(),
+            brand: this.result.brand
+        };
+    }
+
+    clear() {
+        Object.values(this.inputs).forEach(input => {
+            input.value = '';
+        });
+        this.touched.clear();
+        this.update();
+    }
+}
@@ -0,0 +1,207 @@
+// ============================================
+// CART
+// ============================================
+//
+// One line per product and variant (the colour chosen in AR), with
+// quantities checked against stock. Every change is written to
+// localStorage so the cart survives a reload; restore() re-links saved
+// lines to the current catalog, refreshing names, prices and stock and
+// dropping products that are gone.
+
+export class CartError extends Error {
+    // code: 'out_of_stock' | 'insufficient_stock' | 'invalid_quantity' | 'unknown_line'
+    // Stock errors carry productName, stock and available (what this line can still take)
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'CartError';
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+export class Cart {
+    constructor({ storageKey = 'arplacementai_cart', storage = globalThis.localStorage } = {}) {
+        this.storageKey = storageKey;
+        this.storage = storage;
+        this.lines = [];
+    }
+
+    static lineKey(productId, variant = null) {
+        return variant ? `${productId}:${variant}` : productId;
+    }
+
+    get count() {
+        return this.lines.reduce((sum, line) => sum + line.quantity, 0);
+    }
+
+    get isEmpty() {
+        return this.lines.length === 0;
+    }
+
+    // List prices only; discounts, shipping and tax are quoted by pricing.js
+    get subtotal() {
+        return this.lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+    }
+
+    getLine(key) {
+        return this.lines.find(line => line.key === key) || null;
+    }
+
+    // Adding a product already in the cart (same variant) raises its quantity
+    add(product, { quantity = 1, variant = null } = {}) {
+        this.checkQuantity(quantity);
+
+        const key = Cart.lineKey(product.id, variant);
+        const existing = this.getLine(key);
+        this.checkStock(product, (existing?.quantity || 0) + quantity, key);
+
+        if (existing) {
+            existing.quantity += quantity;
+            this.save();
+            return existing;
+        }
+
+        const line = {
+            key,
+            id: product.id,
+            name: product.name,
+            brand: product.brand,
+            price: product.price,
+            discount: product.discount || 0,
+            shipping: product.shipping || null,
+            stock: product.stock,
+            variant,
+            quantity,
+            addedAt: Date.now()
+        };
+        this.lines.push(line);
+        this.save();
+        return line;
+    }
+
+    // A quantity of 0 removes the line
+    setQuantity(key, quantity) {
+        const line = this.getLine(key);
+        if (!line) {
+            throw new CartError('unknown_line', `No cart line "${key}"`);
+        }
+        if (quantity === 0) {
+            this.remove(key);
+            return null;
+        }
+
+        this.checkQuantity(quantity);
+        this.checkStock(line, quantity, key);
+        line.quantity = quantity;
+        this.save();
+        return line;
+    }
+
+    remove(key) {
+        this.lines = this.lines.filter(line => line.key !== key);
+        this.save();
+    }
+
+    clear() {
+        this.lines = [];
+        this.save();
+    }
+
+    checkQuantity(quantity) {
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new CartError('invalid_quantity', `Quantity must be a whole number of at least 1 (got ${quantity})`);
+        }
+    }
+
+    // Stock is per product, so every colour variant draws on the same count.
+    // quantity is the new total for the line `key`; other lines of the product
+    // take what's left.
+    quantityOf(productId, exceptKey = null) {
+        return this.lines
+            .filter(line => line.id === productId && line.key !== exceptKey)
+            .reduce((sum, line) => sum + line.quantity, 0);
+    }
+
+    checkStock(product, quantity, key = null) {
+        const available = Math.max(0, product.stock - this.quantityOf(product.id, key));
+        if (product.stock <= 0) {
+            throw new CartError('out_of_stock', `${product.name} is out of stock`, {
+                productName: product.name,
+                available: 0
+            });
+        }
+        if (quantity > available) {
+            throw new CartError('insufficient_stock', `Only ${product.stock} of ${product.name} in stock`, {
+                productName: product.name,
+                stock: product.stock,
+                available
+            });
+        }
+    }
+
+    save() {
+        try {
+            this.storage?.setItem(this.storageKey, JSON.stringify(this.lines));
+        } catch (error) {
+            console.warn('Cart could not be saved:', error);
+        }
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(this.storage?.getItem(this.storageKey) || '[]');
+            this.lines = (Array.isArray(saved) ? saved : [])
+                .filter(line => line?.id && Number.isInteger(line.quantity) && line.quantity > 0)
+                .map(line => ({ ...line, key: Cart.lineKey(line.id, line.variant) }));
+        } catch (error) {
+            console.warn('Ignoring unreadable saved cart:', error);
+            this.lines = [];
+        }
+        return this;
+    }
+
+    // Refreshes lines from the catalog. Returns what had to change: products
+    // no longer sold (or sold out), and quantities cut down to stock.
+    sync(catalog) {
+        const byId = new Map(catalog.map(product => [product.id, product]));
+        const dropped = [];
+        const reduced = [];
+        // Stock left per product as variants claim it, oldest line first
+        const remaining = new Map();
+
+        this.lines = this.lines.filter(line => {
+            const product = byId.get(line.id);
+            if (!product || product.stock <= 0) {
+                dropped.push(line);
+                return false;
+            }
+
+            Object.assign(line, {
+                name: product.name,
+                brand: product.brand,
+                price: product.price,
+                discount: product.discount || 0,
+                shipping: product.shipping || null,
+                stock: product.stock
+            });
+            const left = remaining.has(product.id) ? remaining.get(product.id) : product.stock;
+            if (left <= 0) {
+                dropped.push(line);
+                return false;
+            }
+            if (line.quantity > left) {
+                line.quantity = left;
+                reduced.push(line);
+            }
+            remaining.set(product.id, left - line.quantity);
+            return true;
+        });
+
+        this.save();
+        return { dropped, reduced };
+    }
+
+    restore(catalog) {
+        return this.load().sync(catalog);
+    }
+}
@@ -0,0 +1,287 @@
+// ============================================
+// CATALOG SEARCH INDEX
+// ============================================
+//
+// Built once per catalog load so per-keystroke matching does not have to
+// compare every input word against every trigger of every product:
+//
+//   - token postings: trigger / tag / name / category term -> products
+//   - stem postings: light English stem -> terms ("brewing" finds "brew")
+//   - n-gram postings: trigram -> terms, for "term contains word" lookups
+//   - BK-tree over all terms for bounded edit-distance (typo) lookups
+//   - facets: category, brand, colour and a list sorted by sale price for filters
+//
+// Term matching follows TriggerScorer's rule (either word contains the
+// other, or they are within maxEditDistance() edits) plus stem matches.
+
+import { salePrice } from './pricing.js';
+
+export function levenshtein(a, b) {
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    const matrix = [];
+    for (let i = 0; i <= b.length; i++) {
+        matrix[i] = [i];
+    }
+    for (let j = 0; j <= a.length; j++) {
+        matrix[0][j] = j;
+    }
+
+    for (let i = 1; i <= b.length; i++) {
+        for (let j = 1; j <= a.length; j++) {
+            const cost = a.charAt(j - 1) === b.charAt(i - 1) ? 0 : 1;
+            matrix[i][j] = Math.min(
+                matrix[i - 1][j] + 1,
+                matrix[i][j - 1] + 1,
+                matrix[i - 1][j - 1] + cost
+            );
+        }
+    }
+
+    return matrix[b.length][a.length];
+}
+
+// Typo tolerance shrinks for short words: "tv" must not fuzzy-match "pc"
+export function maxEditDistance(word, limit = 2) {
+    if (word.length <= 2) return 0;
+    if (word.length <= 4) return Math.min(1, limit);
+    return limit;
+}
+
+function undouble(word) {
+    // "runn" -> "run", "shopp" -> "shop"
+    return /([b-df-hj-np-tv-z])\1$/.test(word) ? word.slice(0, -1) : word;
+}
+
+// Deliberately light suffix stripping; it only has to group obvious variants
+export function stem(word) {
+    if (word.length <= 3) return word;
+    if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+    if (word.endsWith('ing') && word.length > 5) return undouble(word.slice(0, -3));
+    if (word.endsWith('ed') && word.length > 4) return undouble(word.slice(0, -2));
+    if (/(ss|x|ch|sh|z)es$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith('er') && word.length > 5) return word.slice(0, -2);
+    if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    if (word.endsWith('e') && !word.endsWith('ee') && word.length > 4) return word.slice(0, -1);
+    return word;
+}
+
+function trigrams(term) {
+    const grams = [];
+    for (let i = 0; i + 3 <= term.length; i++) {
+        grams.push(term.slice(i, i + 3));
+    }
+    return grams;
+}
+
+function addPosting(map, key, value) {
+    let set = map.get(key);
+    if (!set) {
+        set = new Set();
+        map.set(key, set);
+    }
+    set.add(value);
+}
+
+// Burkhard-Keller tree: children are keyed by their distance to the parent,
+// so a bounded search only descends into the [d - max, d + max] band
+class BKTree {
+    constructor() {
+        this.root = null;
+        this.size = 0;
+    }
+
+    add(term) {
+        if (!this.root) {
+            this.root = { term, children: new Map() };
+            this.size++;
+            return;
+        }
+
+        let node = this.root;
+        while (true) {
+            const distance = levenshtein(term, node.term);
+            if (distance === 0) return;
+
+            const child = node.children.get(distance);
+            if (!child) {
+                node.children.set(distance, { term, children: new Map() });
+                this.size++;
+                return;
+            }
+            node = child;
+        }
+    }
+
+    search(term, maxDistance) {
+        const results = [];
+        const stack = this.root ? [this.root] : [];
+
+        while (stack.length) {
+            const node = stack.pop();
+            const distance = levenshtein(term, node.term);
+            if (distance <= maxDistance) results.push(node.term);
+
+            node.children.forEach((child, edge) => {
+                if (edge >= distance - maxDistance && edge <= distance + maxDistance) {
+                    stack.push(child);
+                }
+            });
+        }
+
+        return results;
+    }
+}
+
+export class CatalogIndex {
+    constructor(catalog, { maxDistance = 2, cacheSize = 5000 } = {}) {
+        this.catalog = catalog;
+        this.maxDistance = maxDistance;
+        this.cacheSize = cacheSize;
+
+        this.positions = new Map();
+        this.postings = { trigger: new Map(), token: new Map() };
+        this.terms = new Set();
+        this.stems = new Map();
+        this.trigrams = new Map();
+        this.shortSubstrings = new Map();
+        this.bkTree = new BKTree();
+        this.facets = { category: new Map(), brand: new Map(), color: new Map() };
+        this.byPrice = [];
+        this.wordCache = new Map();
+
+        const started = performance.now();
+        catalog.forEach((product, position) => this.addProduct(product, position));
+        this.terms.forEach(term => this.addTerm(term));
+        this.byPrice.sort((a, b) => salePrice(a) - salePrice(b));
+        this.buildTime = performance.now() - started;
+    }
+
+    addProduct(product, position) {
+        this.positions.set(product, position);
+
+        (product.triggers || []).forEach(trigger => {
+            addPosting(this.postings.trigger, trigger, product);
+            this.terms.add(trigger);
+        });
+
+        // Same token set TokenOverlapScorer compares against
+        [
+            ...(product.tags || []),
+            ...product.name.toLowerCase().split(' '),
+            ...product.category ? [product.category] : []
+        ].forEach(token => {
+            addPosting(this.postings.token, token, product);
+            this.terms.add(token);
+        });
+
+        if (product.category) addPosting(this.facets.category, product.category, product);
+        if (product.brand) addPosting(this.facets.brand, product.brand, product);
+        (product.colors || []).forEach(hex => addPosting(this.facets.color, hex.toUpperCase(), product));
+        this.byPrice.push(product);
+    }
+
+    addTerm(term) {
+        if (!term) return;
+
+        addPosting(this.stems, stem(term), term);
+        trigrams(term).forEach(gram => addPosting(this.trigrams, gram, term));
+        // One- and two-letter words can't use trigrams, so index those substrings directly
+        for (let i = 0; i < term.length; i++) {
+            addPosting(this.shortSubstrings, term[i], term);
+            if (i + 2 <= term.length) addPosting(this.shortSubstrings, term.slice(i, i + 2), term);
+        }
+        this.bkTree.add(term);
+    }
+
+    // Every indexed term a single input word matches
+    matchWord(word) {
+        const cached = this.wordCache.get(word);
+        if (cached) return cached;
+
+        const matches = new Set();
+
+        // Terms contained in the word ("coffeemaker" contains "coffee")
+        for (let i = 0; i < word.length; i++) {
+            for (let j = i + 1; j <= word.length; j++) {
+                const part = word.slice(i, j);
+                if (this.terms.has(part)) matches.add(part);
+            }
+        }
+
+        // Terms containing the word ("brew" is inside "brewing")
+        if (word.length < 3) {
+            (this.shortSubstrings.get(word) || []).forEach(term => matches.add(term));
+        } else {
+            const postings = trigrams(word).map(gram => this.trigrams.get(gram));
+            if (postings.every(Boolean)) {
+                const smallest = postings.reduce((a, b) => (a.size <= b.size ? a : b));
+                smallest.forEach(term => {
+                    if (term.includes(word)) matches.add(term);
+                });
+            }
+        }
+
+        this.bkTree.search(word, maxEditDistance(word, this.maxDistance)).forEach(term => matches.add(term));
+        (this.stems.get(stem(word)) || []).forEach(term => matches.add(term));
+
+        if (this.wordCache.size >= this.cacheSize) this.wordCache.clear();
+        this.wordCache.set(word, matches);
+        return matches;
+    }
+
+    matchTerms(words) {
+        const matches = new Set();
+        words.forEach(word => this.matchWord(word).forEach(term => matches.add(term)));
+        return matches;
+    }
+
+    // field: 'trigger' | 'token'
+    productsWithTerm(field, term) {
+        return this.postings[field].get(term) || null;
+    }
+
+    // facet: 'category' | 'brand' | 'color' (colours keyed by upper-case hex)
+    facet(facet, value) {
+        return this.facets[facet].get(facet === 'color' ? value.toUpperCase() : value) || null;
+    }
+
+    facetValues(facet) {
+        return [...this.facets[facet].keys()];
+    }
+
+    // Products whose sale price is within [min, max], found by binary search on the sorted list
+    priceRange(min = -Infinity, max = Infinity) {
+        const lowerBound = value => {
+            let lo = 0;
+            let hi = this.byPrice.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (salePrice(this.byPrice[mid]) < value) lo = mid + 1;
+                else hi = mid;
+            }
+            return lo;
+        };
+
+        const start = lowerBound(min);
+        let end = start;
+        while (end < this.byPrice.length && salePrice(this.byPrice[end]) <= max) end++;
+        return new Set(this.byPrice.slice(start, end));
+    }
+
+    // Candidates back in catalog order so score ties resolve as a full scan would
+    inCatalogOrder(products) {
+        return [...products].sort((a, b) => this.positions.get(a) - this.positions.get(b));
+    }
+
+    getStats() {
+        return {
+            products: this.catalog.length,
+            terms: this.terms.size,
+            stems: this.stems.size,
+            trigrams: this.trigrams.size,
+            buildTime: this.buildTime
+        };
+    }
+}
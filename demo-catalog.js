@@ -0,0 +1,195 @@
+// ============================================
+// DEMO CATALOG
+// ============================================
+//
+// Used when the brand API returns no products, and as the fixture catalog
+// for the offline ranking evaluation in tools/evaluate-ranking.mjs. Spanish
+// and French fields live under `translations` (see i18n.js).
+
+export const DEMO_CATALOG = [
+    {
+        id: 'coffee_machine_pro',
+        name: 'Barista Pro Espresso Machine',
+        brand: 'LuxBrew',
+        category: 'kitchen',
+        price: 499.99,
+        discount: 15,
+        rating: 4.8,
+        stock: 42,
+        description: 'Professional-grade espresso machine with smart connectivity',
+        tags: ['coffee', 'espresso', 'smart', 'kitchen', 'premium'],
+        triggers: ['coffee', 'tired', 'morning', 'caffeine', 'energy', 'brew', 'wake up'],
+        modelUrl: 'https://raw.githubusercontent.com/KhronosGroup/glTF-Sample-Models/master/2.0/CesiumMan/glTF/CesiumMan.gltf',
+        dimensions: { x: 0.15, y: 0.25, z: 0.20 },
+        scale: 0.5,
+        colors: ['#8B4513', '#D2691E', '#A0522D'],
+        features: ['WiFi Connected', 'App Control', '15 Bar Pressure'],
+        reviews: 128,
+        shipping: { free: true, days: 2 },
+        translations: {
+            es: {
+                name: 'Cafetera Espresso Barista Pro',
+                description: 'Cafetera espresso de calidad profesional con conectividad inteligente',
+                tags: ['café', 'cafetera', 'cocina'],
+                triggers: ['café', 'cansado', 'cansada', 'mañana', 'cafeína', 'energía', 'despertar', 'sueño'],
+                features: ['Conexión WiFi', 'Control por app', '15 bares de presión']
+            },
+            fr: {
+                name: 'Machine Espresso Barista Pro',
+                description: 'Machine espresso de qualité professionnelle, connectée',
+                tags: ['café', 'cafetière', 'cuisine'],
+                triggers: ['café', 'fatigué', 'fatiguée', 'matin', 'caféine', 'énergie', 'réveil'],
+                features: ['Connexion WiFi', 'Contrôle par appli', 'Pression 15 bars']
+            }
+        }
+    },
+    {
+        id: 'smart_garden',
+        name: 'HydraSmart Indoor Garden',
+        brand: 'GreenLife',
+        category: 'home',
+        price: 179.99,
+        discount: 20,
+        rating: 4.6,
+        stock: 89,
+        description: 'Self-watering smart garden with grow lights',
+        tags: ['plant', 'garden', 'smart', 'home', 'sustainable'],
+        triggers: ['plant', 'garden', 'green', 'nature', 'grow', 'sustainable', 'home'],
+        modelUrl: 'https://raw.githubusercontent.com/KhronosGroup/glTF-Sample-Models/master/2.0/Duck/glTF/Duck.gltf',
+        dimensions: { x: 0.30, y: 0.15, z: 0.30 },
+        scale: 0.3,
+        colors: ['#228B22', '#32CD32', '#006400'],
+        features: ['Auto Watering', 'LED Grow Lights', 'App Monitoring'],
+        reviews: 256,
+        shipping: { free: true, days: 3 },
+        translations: {
+            es: {
+                name: 'Huerto de Interior HydraSmart',
+                description: 'Huerto inteligente con riego automático y luces de cultivo',
+                tags: ['planta', 'jardín', 'huerto', 'hogar'],
+                triggers: ['planta', 'plantas', 'jardín', 'huerto', 'verde', 'naturaleza', 'cultivar', 'regar'],
+                features: ['Riego automático', 'Luces LED de cultivo', 'Control por app']
+            },
+            fr: {
+                name: 'Potager d\'intérieur HydraSmart',
+                description: 'Potager connecté à arrosage automatique avec lampes de croissance',
+                tags: ['plante', 'jardin', 'potager', 'maison'],
+                triggers: ['plante', 'plantes', 'jardin', 'potager', 'vert', 'nature', 'pousser', 'arroser'],
+                features: ['Arrosage automatique', 'Lampes LED de croissance', 'Suivi par appli']
+            }
+        }
+    },
+    {
+        id: 'pro_tool_set',
+        name: 'MasterCraft Pro Tool Kit',
+        brand: 'ToolTech',
+        category: 'tools',
+        price: 299.99,
+        discount: 10,
+        rating: 4.9,
+        stock: 23,
+        description: '156-piece professional tool set with lifetime warranty',
+        tags: ['tools', 'diy', 'professional', 'repair', 'construction'],
+        triggers: ['fix', 'repair', 'build', 'maintenance', 'broken', 'diy', 'tools'],
+        modelUrl: 'https://raw.githubusercontent.com/KhronosGroup/glTF-Sample-Models/master/2.0/Box/glTF/Box.gltf',
+        dimensions: { x: 0.40, y: 0.25, z: 0.30 },
+        scale: 0.4,
+        colors: ['#FF4500', '#FF6347', '#DC143C'],
+        features: ['Lifetime Warranty', 'Professional Grade', '156 Pieces'],
+        reviews: 512,
+        shipping: { free: true, days: 1 },
+        translations: {
+            es: {
+                name: 'Kit de Herramientas MasterCraft Pro',
+                description: 'Juego de 156 herramientas profesionales con garantía de por vida',
+                tags: ['herramientas', 'bricolaje', 'reparación'],
+                triggers: ['arreglar', 'reparar', 'construir', 'mantenimiento', 'roto', 'rota', 'bricolaje', 'herramientas'],
+                features: ['Garantía de por vida', 'Calidad profesional', '156 piezas']
+            },
+            fr: {
+                name: 'Caisse à outils MasterCraft Pro',
+                description: 'Coffret de 156 outils professionnels garanti à vie',
+                tags: ['outils', 'bricolage', 'réparation'],
+                triggers: ['réparer', 'construire', 'entretien', 'cassé', 'cassée', 'bricolage', 'outils', 'bricoler'],
+                features: ['Garantie à vie', 'Qualité professionnelle', '156 pièces']
+            }
+        }
+    },
+    {
+        id: 'ergo_standing_desk',
+        name: 'AeroStand Pro Desk',
+        brand: 'ErgoWorks',
+        category: 'office',
+        price: 699.99,
+        discount: 25,
+        rating: 4.7,
+        stock: 15,
+        description: 'Smart standing desk with health tracking',
+        tags: ['desk', 'ergonomic', 'office', 'standing', 'health'],
+        triggers: ['back', 'posture', 'desk', 'ergonomic', 'work', 'office', 'health'],
+        modelUrl: 'https://raw.githubusercontent.com/KhronosGroup/glTF-Sample-Models/master/2.0/Box/glTF/Box.gltf',
+        dimensions: { x: 0.60, y: 0.02, z: 0.40 },
+        scale: 0.25,
+        colors: ['#8B7355', '#D2B48C', '#A0522D'],
+        features: ['Health Tracking', 'Memory Presets', 'Wireless Charging'],
+        reviews: 89,
+        shipping: { free: false, cost: 49.99, days: 5 },
+        translations: {
+            es: {
+                name: 'Escritorio AeroStand Pro',
+                description: 'Escritorio elevable inteligente con seguimiento de salud',
+                tags: ['escritorio', 'ergonómico', 'oficina'],
+                triggers: ['espalda', 'postura', 'escritorio', 'ergonómico', 'trabajo', 'oficina', 'salud'],
+                features: ['Seguimiento de salud', 'Posiciones memorizadas', 'Carga inalámbrica']
+            },
+            fr: {
+                name: 'Bureau AeroStand Pro',
+                description: 'Bureau assis-debout connecté avec suivi santé',
+                tags: ['bureau', 'ergonomique'],
+                triggers: ['dos', 'posture', 'bureau', 'ergonomique', 'travail', 'santé'],
+                features: ['Suivi santé', 'Positions mémorisées', 'Recharge sans fil']
+            }
+        }
+    },
+    {
+        id: 'quantum_headphones',
+        name: 'Quantum Sound Pro X',
+        brand: 'AudioMax',
+        category: 'electronics',
+        price: 349.99,
+        discount: 0,
+        rating: 4.9,
+        stock: 67,
+        description: 'Noise-cancelling headphones with spatial audio',
+        tags: ['audio', 'headphones', 'music', 'wireless', 'premium'],
+        triggers: ['music', 'sound', 'focus', 'travel', 'audio', 'noise'],
+        modelUrl: 'https://raw.githubusercontent.com/KhronosGroup/glTF-Sample-Models/master/2.0/Box/glTF/Box.gltf',
+        dimensions: { x: 0.20, y: 0.15, z: 0.20 },
+        scale: 0.5,
+        colors: ['#000000', '#1A1A1A', '#333333'],
+        features: ['Active Noise Cancelling', '30hr Battery', 'Spatial Audio'],
+        reviews: 1024,
+        shipping: { free: true, days: 2 },
+        translations: {
+            es: {
+                name: 'Auriculares Quantum Sound Pro X',
+                description: 'Auriculares con cancelación de ruido y audio espacial',
+                tags: ['auriculares', 'música', 'inalámbrico'],
+                triggers: ['música', 'sonido', 'concentración', 'viaje', 'viajar', 'audio', 'ruido'],
+                features: ['Cancelación activa de ruido', '30 h de batería', 'Audio espacial']
+            },
+            fr: {
+                name: 'Casque Quantum Sound Pro X',
+                description: 'Casque à réduction de bruit avec audio spatial',
+                tags: ['casque', 'musique', 'sans-fil'],
+                triggers: ['musique', 'son', 'concentration', 'voyage', 'voyager', 'audio', 'bruit'],
+                features: ['Réduction de bruit active', '30 h d\'autonomie', 'Audio spatial']
+            }
+        }
+    }
+];
+
+// Fresh copy per call, so the app can't mutate the shared fixture
+export function createDemoCatalog() {
+    return structuredClone(DEMO_CATALOG);
+}
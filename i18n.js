@@ -0,0 +1,646 @@
+// ============================================
+// LOCALIZATION
+// ============================================
+//
+// UI strings, speech recognition languages and localized catalog fields.
+// Strings are looked up by key with {placeholders}; a key missing from a
+// locale falls back to English, then to the key itself.
+//
+// Catalog entries carry their translations alongside the source fields:
+//
+//   { name: 'Barista Pro Espresso Machine', triggers: ['coffee', ...],
+//     translations: { es: { name: 'Cafetera Espresso Barista Pro', triggers: ['café', ...] } } }
+//
+// localizeCatalog() resolves those into plain products for the active locale,
+// which is what the AI engine indexes and matches against.
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = {
+    en: { label: 'English', speech: 'en-US' },
+    es: { label: 'Español', speech: 'es-ES' },
+    fr: { label: 'Français', speech: 'fr-FR' }
+};
+
+// Fields a catalog translation may override
+const LOCALIZED_FIELDS = ['name', 'description', 'triggers', 'tags', 'features'];
+
+export const MESSAGES = {
+    en: {
+        'start.tagline': 'See it in your space before you buy',
+        'start.welcome': 'Welcome, {name}!',
+        'start.guest': 'Guest',
+        'start.session': 'Session #{count}',
+        'start.brands': '{count} Brands',
+        'start.freeShipping': 'Free Shipping',
+        'start.checking': 'Checking Compatibility...',
+        'start.startAR': 'Start AR Experience',
+        'start.startPreview': 'Start 3D Preview',
+        'start.arUnsupported': 'AR is not supported on this device',
+        'start.browseCatalog': 'Browse Catalog',
+        'start.tip': 'Try saying: "I need coffee" or "My back hurts at work"',
+        'start.language': 'Language',
+        'loading.title': 'Loading ARplacementAI',
+        'loading.detail': 'Initializing 3D engine...',
+        'loading.cancel': 'Cancel',
+        'common.products': '{count} Products',
+        'ar.scaleTrue': '1:1',
+        'ar.scaleShowcase': 'Show',
+        'ar.toggleScale': 'Toggle true size / showcase',
+        'ar.layouts': 'Room layouts',
+        'ar.measure': 'Measure your space',
+        'ar.snap': 'Snap new products beside existing ones',
+        'ar.cart': 'Cart',
+        'ar.orders': 'Your orders',
+        'instructions.move': 'Move to detect surfaces',
+        'instructions.speak': 'Speak or type to trigger AI',
+        'instructions.tap': 'Tap to place products',
+        'instructions.orbit': 'Drag to orbit, scroll to zoom',
+        'selection.rotateLeft': 'Rotate left',
+        'selection.rotateRight': 'Rotate right',
+        'selection.smaller': 'Smaller',
+        'selection.larger': 'Larger',
+        'selection.remove': 'Remove product',
+        'selection.done': 'Done',
+        'completeRoom.title': 'Complete the room',
+        'recommendations.title': 'You might also like',
+        'recommendations.place': 'Place {name}',
+        'recommendations.reason.chosenWith': 'Often chosen with {name}',
+        'recommendations.reason.chosenTogether': 'Often chosen together',
+        'recommendations.reason.matchesRequest': 'Matches what you asked for',
+        'recommendations.reason.moreCategory': 'More {category} you might like',
+        'recommendations.reason.popular': 'Popular right now',
+        'chat.title': 'AI Assistant',
+        'chat.placeholder': 'What are you thinking about? Try: \'I need coffee\' or \'My plant needs water\'',
+        'chat.hint': 'Try describing what you need... (e.g., "I need coffee", "My back hurts", "Help me fix something")',
+        'chat.nothingLeft': 'Nothing in the catalog matches the refined request ({understood}). Try a new request.',
+        'chat.noMatch': 'No products match {interpretation}.',
+        'chat.match': '{percent}% match',
+        'chat.placeSuggestion': 'Place this one',
+        'layouts.title': 'Room Layouts',
+        'orders.title': 'Your Orders',
+        'orders.empty': 'No orders yet',
+        'orders.orderId': 'Order {id}',
+        'orders.transactionId': 'Transaction {id}',
+        'orders.placeAgain': 'Place again in AR',
+        'orders.print': 'Print receipt',
+        'orders.download': 'Download receipt',
+        'receipt.title': 'Receipt',
+        'receipt.order': 'Order',
+        'receipt.transaction': 'Transaction',
+        'receipt.date': 'Date',
+        'receipt.paidWith': 'Paid with {method}',
+        'receipt.item': 'Item',
+        'receipt.quantity': 'Qty',
+        'receipt.price': 'Price',
+        'layouts.namePlaceholder': 'Name this arrangement...',
+        'layouts.save': 'Save current arrangement',
+        'layouts.import': 'Import from file',
+        'layouts.empty': 'No saved layouts yet',
+        'layouts.summary': '{count} products · {date}',
+        'layouts.place': 'Place here',
+        'layouts.export': 'Export JSON',
+        'layouts.delete': 'Delete',
+        'measure.title': 'Measure',
+        'measure.units': 'Switch units',
+        'measure.undo': 'Undo last point',
+        'measure.clear': 'Clear',
+        'measure.hint': 'Tap to drop points on a surface',
+        'measure.secondPoint': 'Tap a second point',
+        'measure.segment': 'Segment {number}',
+        'measure.total': 'Total',
+        'measure.footprint': 'Footprint',
+        'measure.fits': 'Fits: {names}',
+        'measure.nothingFits': 'No catalog items fit this space',
+        'analytics.title': 'Live Analytics',
+        'analytics.placements': 'Placements',
+        'analytics.impressions': 'Impressions',
+        'analytics.interactions': 'Interactions',
+        'analytics.confidence': 'AI Confidence',
+        'analytics.sessionTime': 'Session Time',
+        'catalog.title': 'Product Catalog',
+        'catalog.search': 'Search products...',
+        'catalog.allCategories': 'All Categories',
+        'category.kitchen': 'Kitchen',
+        'category.home': 'Home',
+        'category.tools': 'Tools',
+        'category.office': 'Office',
+        'category.electronics': 'Electronics',
+        'cart.title': 'Your Cart',
+        'cart.total': 'Total:',
+        'cart.checkout': 'Proceed to Checkout',
+        'cart.quantity': 'Quantity',
+        'cart.decrease': 'One fewer',
+        'cart.increase': 'One more',
+        'payment.title': 'Secure Checkout',
+        'checkout.orderSummary': 'Order Summary',
+        'checkout.savings': 'Savings',
+        'checkout.subtotal': 'Subtotal',
+        'checkout.promo': 'Promo',
+        'checkout.shipping': 'Shipping',
+        'checkout.freeShipping': 'Free',
+        'checkout.tax': 'Tax',
+        'checkout.total': 'Total',
+        'checkout.pay': 'Pay {amount}',
+        'checkout.region': 'Ship to',
+        'checkout.promoPlaceholder': 'Promo code',
+        'checkout.applyPromo': 'Apply promo code',
+        'checkout.promoApplied': 'Applied: {description}',
+        'checkout.promoOffer.percent': '{value}% off your order',
+        'checkout.promoOffer.fixed': '{amount} off your order',
+        'checkout.promoOffer.fixedMin': '{amount} off orders over {minSubtotal}',
+        'checkout.promoOffer.shipping': 'Free shipping',
+        'checkout.promo.unknown': '"{code}" isn\'t a valid promo code',
+        'checkout.promo.expired': '"{code}" has expired',
+        'checkout.promo.min_subtotal': '"{code}" needs a subtotal of at least {amount}',
+        'card.details': 'Card Details',
+        'card.number': 'Card Number',
+        'card.expiry': 'MM/YY',
+        'card.cvc': 'CVC',
+        'card.name': 'Name on Card',
+        'card.error.required': 'Required',
+        'card.error.incomplete_number': 'Card number is incomplete',
+        'card.error.invalid_number': 'Card number is invalid',
+        'card.error.incomplete_expiry': 'Use MM/YY',
+        'card.error.invalid_month': 'Month must be 01-12',
+        'card.error.invalid_year': 'Expiry year is too far ahead',
+        'card.error.expired': 'Card has expired',
+        'card.error.invalid_cvc': 'Security code is invalid',
+        'payment.processing': 'Processing...',
+        'payment.secureTitle': 'Confirm with your bank',
+        'payment.secureBody': 'Your bank needs to confirm this payment of {amount} (3-D Secure).',
+        'payment.approveTitle': 'Approve in PayPal',
+        'payment.approveBody': 'Approve the payment of {amount} in your PayPal account.',
+        'payment.approve': 'Approve',
+        'payment.cancel': 'Cancel',
+        'payment.method': 'Payment Method',
+        'payment.card': 'Credit Card',
+        'payment.applePay': 'Apple Pay',
+        'payment.error.card_declined': 'Your card was declined. Try another card.',
+        'payment.error.insufficient_funds': 'Your card has insufficient funds.',
+        'payment.error.expired_card': 'Your card has expired.',
+        'payment.error.incorrect_cvc': 'The security code is incorrect.',
+        'payment.error.authentication_failed': 'The payment wasn\'t confirmed, so you haven\'t been charged.',
+        'payment.error.timeout': 'The payment gateway didn\'t respond. You haven\'t been charged; please try again.',
+        'payment.error.network_error': 'Couldn\'t reach the payment gateway. Check your connection and try again.',
+        'toast.arStarted': 'AR session started successfully!',
+        'toast.previewStarted': '3D preview started. AR is not available on this device.',
+        'toast.arEnded': 'AR session ended. Analytics saved.',
+        'toast.arFailed': 'Failed to start AR: {error}',
+        'toast.initFailed': 'Initialization failed: {error}',
+        'toast.needSurface': 'Move your device to detect a surface first',
+        'toast.loadCancelled': 'Cancelled loading {name}',
+        'toast.modelFailed': 'Couldn\'t load the 3D model for {name}. Showing a placeholder box.',
+        'toast.overlaps': '{name} overlaps {others}',
+        'toast.placed': '{name} placed successfully!',
+        'toast.placeFailed': 'Failed to place {name}',
+        'toast.removed': '{name} removed',
+        'toast.scaleTrue': 'True size: products shown at their real dimensions',
+        'toast.scaleShowcase': 'Showcase: products shown at display size',
+        'toast.showcaseToResize': 'Switch to showcase mode to resize products',
+        'toast.snapOn': 'Snap on: new products are placed beside overlapping ones',
+        'toast.snapOff': 'Snap off: products are placed exactly at the reticle',
+        'toast.layoutEmpty': 'Place some products before saving a layout',
+        'toast.layoutSaved': 'Saved "{name}"',
+        'toast.layoutPartial': 'Placed {placed} of {total} products ({missing} no longer in the catalog)',
+        'toast.orderPartial': 'Placed {placed} of {total} products ({missing} no longer in the catalog)',
+        'toast.orderPlaced': 'Placed the products from order {id}',
+        'toast.receiptBlocked': 'Pop-ups are blocked, so the receipt was downloaded instead',
+        'toast.layoutPlaced': 'Placed "{name}"',
+        'toast.layoutImported': 'Imported "{name}"',
+        'toast.layoutImportFailed': 'Couldn\'t import layout: {error}',
+        'toast.outOfStock': 'Product out of stock',
+        'toast.stockLimit': 'Only {count} of {name} in stock',
+        'toast.addedToCart': 'Added {name} to cart!',
+        'toast.removedFromCart': 'Item removed from cart',
+        'toast.addedToWishlist': 'Added {name} to wishlist',
+        'toast.viewing': 'Viewing {name} details',
+        'toast.paymentSuccess': 'Payment successful! Order confirmed.',
+        'toast.paymentFailed': 'Payment failed: {error}',
+        'toast.voiceFailed': 'Voice input failed. Please try typing.',
+        'toast.voiceUnsupported': 'Voice input not supported in this browser'
+    },
+    es: {
+        'start.tagline': 'Míralo en tu espacio antes de comprar',
+        'start.welcome': '¡Bienvenido, {name}!',
+        'start.guest': 'Invitado',
+        'start.session': 'Sesión n.º {count}',
+        'start.brands': '{count} marcas',
+        'start.freeShipping': 'Envío gratis',
+        'start.checking': 'Comprobando compatibilidad...',
+        'start.startAR': 'Iniciar experiencia AR',
+        'start.startPreview': 'Iniciar vista 3D',
+        'start.arUnsupported': 'Este dispositivo no admite AR',
+        'start.browseCatalog': 'Ver catálogo',
+        'start.tip': 'Prueba a decir: "Necesito café" o "Me duele la espalda en el trabajo"',
+        'start.language': 'Idioma',
+        'loading.title': 'Cargando ARplacementAI',
+        'loading.detail': 'Iniciando el motor 3D...',
+        'loading.cancel': 'Cancelar',
+        'common.products': '{count} productos',
+        'ar.scaleTrue': '1:1',
+        'ar.scaleShowcase': 'Expo',
+        'ar.toggleScale': 'Alternar tamaño real / exposición',
+        'ar.layouts': 'Distribuciones',
+        'ar.measure': 'Mide tu espacio',
+        'ar.snap': 'Colocar los productos nuevos junto a los existentes',
+        'ar.cart': 'Carrito',
+        'ar.orders': 'Tus pedidos',
+        'instructions.move': 'Mueve el dispositivo para detectar superficies',
+        'instructions.speak': 'Habla o escribe para activar la IA',
+        'instructions.tap': 'Toca para colocar productos',
+        'instructions.orbit': 'Arrastra para girar, desplaza para hacer zoom',
+        'selection.rotateLeft': 'Girar a la izquierda',
+        'selection.rotateRight': 'Girar a la derecha',
+        'selection.smaller': 'Más pequeño',
+        'selection.larger': 'Más grande',
+        'selection.remove': 'Quitar producto',
+        'selection.done': 'Listo',
+        'completeRoom.title': 'Completa la habitación',
+        'recommendations.title': 'También te puede gustar',
+        'recommendations.place': 'Colocar {name}',
+        'recommendations.reason.chosenWith': 'Se suele elegir con {name}',
+        'recommendations.reason.chosenTogether': 'Se suelen elegir juntos',
+        'recommendations.reason.matchesRequest': 'Encaja con lo que pediste',
+        'recommendations.reason.moreCategory': 'Más productos de {category} que te pueden gustar',
+        'recommendations.reason.popular': 'Popular ahora mismo',
+        'chat.title': 'Asistente IA',
+        'chat.placeholder': '¿En qué estás pensando? Prueba: «Necesito café» o «Mi planta necesita agua»',
+        'chat.hint': 'Describe lo que necesitas... (p. ej., "Necesito café", "Me duele la espalda", "Ayúdame a arreglar algo")',
+        'chat.nothingLeft': 'Nada del catálogo coincide con la petición ajustada ({understood}). Prueba con otra petición.',
+        'chat.noMatch': 'Ningún producto coincide con {interpretation}.',
+        'chat.match': '{percent} % de coincidencia',
+        'chat.placeSuggestion': 'Colocar este',
+        'layouts.title': 'Distribuciones',
+        'orders.title': 'Tus pedidos',
+        'orders.empty': 'Todavía no hay pedidos',
+        'orders.orderId': 'Pedido {id}',
+        'orders.transactionId': 'Transacción {id}',
+        'orders.placeAgain': 'Volver a colocar en AR',
+        'orders.print': 'Imprimir recibo',
+        'orders.download': 'Descargar recibo',
+        'receipt.title': 'Recibo',
+        'receipt.order': 'Pedido',
+        'receipt.transaction': 'Transacción',
+        'receipt.date': 'Fecha',
+        'receipt.paidWith': 'Pagado con {method}',
+        'receipt.item': 'Artículo',
+        'receipt.quantity': 'Cant.',
+        'receipt.price': 'Precio',
+        'layouts.namePlaceholder': 'Ponle nombre a esta distribución...',
+        'layouts.save': 'Guardar la distribución actual',
+        'layouts.import': 'Importar desde archivo',
+        'layouts.empty': 'Aún no hay distribuciones guardadas',
+        'layouts.summary': '{count} productos · {date}',
+        'layouts.place': 'Colocar aquí',
+        'layouts.export': 'Exportar JSON',
+        'layouts.delete': 'Eliminar',
+        'measure.title': 'Medir',
+        'measure.units': 'Cambiar unidades',
+        'measure.undo': 'Deshacer el último punto',
+        'measure.clear': 'Borrar',
+        'measure.hint': 'Toca para marcar puntos en una superficie',
+        'measure.secondPoint': 'Toca un segundo punto',
+        'measure.segment': 'Tramo {number}',
+        'measure.total': 'Total',
+        'measure.footprint': 'Superficie',
+        'measure.fits': 'Caben: {names}',
+        'measure.nothingFits': 'Ningún producto del catálogo cabe en este espacio',
+        'analytics.title': 'Analítica en vivo',
+        'analytics.placements': 'Colocaciones',
+        'analytics.impressions': 'Impresiones',
+        'analytics.interactions': 'Interacciones',
+        'analytics.confidence': 'Confianza de la IA',
+        'analytics.sessionTime': 'Tiempo de sesión',
+        'catalog.title': 'Catálogo de productos',
+        'catalog.search': 'Buscar productos...',
+        'catalog.allCategories': 'Todas las categorías',
+        'category.kitchen': 'Cocina',
+        'category.home': 'Hogar',
+        'category.tools': 'Herramientas',
+        'category.office': 'Oficina',
+        'category.electronics': 'Electrónica',
+        'cart.title': 'Tu carrito',
+        'cart.total': 'Total:',
+        'cart.checkout': 'Finalizar compra',
+        'cart.quantity': 'Cantidad',
+        'cart.decrease': 'Uno menos',
+        'cart.increase': 'Uno más',
+        'payment.title': 'Pago seguro',
+        'checkout.orderSummary': 'Resumen del pedido',
+        'checkout.savings': 'Ahorro',
+        'checkout.subtotal': 'Subtotal',
+        'checkout.promo': 'Promoción',
+        'checkout.shipping': 'Envío',
+        'checkout.freeShipping': 'Gratis',
+        'checkout.tax': 'Impuestos',
+        'checkout.total': 'Total',
+        'checkout.pay': 'Pagar {amount}',
+        'checkout.region': 'Enviar a',
+        'checkout.promoPlaceholder': 'Código promocional',
+        'checkout.applyPromo': 'Aplicar código promocional',
+        'checkout.promoApplied': 'Aplicado: {description}',
+        'checkout.promoOffer.percent': '{value} % de descuento en tu pedido',
+        'checkout.promoOffer.fixed': '{amount} de descuento en tu pedido',
+        'checkout.promoOffer.fixedMin': '{amount} de descuento en pedidos de más de {minSubtotal}',
+        'checkout.promoOffer.shipping': 'Envío gratis',
+        'checkout.promo.unknown': '«{code}» no es un código válido',
+        'checkout.promo.expired': '«{code}» ha caducado',
+        'checkout.promo.min_subtotal': '«{code}» requiere un subtotal mínimo de {amount}',
+        'card.details': 'Datos de la tarjeta',
+        'card.number': 'Número de tarjeta',
+        'card.expiry': 'MM/AA',
+        'card.cvc': 'CVC',
+        'card.name': 'Titular de la tarjeta',
+        'card.error.required': 'Obligatorio',
+        'card.error.incomplete_number': 'El número de tarjeta está incompleto',
+        'card.error.invalid_number': 'El número de tarjeta no es válido',
+        'card.error.incomplete_expiry': 'Usa MM/AA',
+        'card.error.invalid_month': 'El mes debe ser 01-12',
+        'card.error.invalid_year': 'El año de caducidad es demasiado lejano',
+        'card.error.expired': 'La tarjeta ha caducado',
+        'card.error.invalid_cvc': 'El código de seguridad no es válido',
+        'payment.processing': 'Procesando...',
+        'payment.secureTitle': 'Confirma con tu banco',
+        'payment.secureBody': 'Tu banco necesita confirmar este pago de {amount} (3-D Secure).',
+        'payment.approveTitle': 'Aprueba en PayPal',
+        'payment.approveBody': 'Aprueba el pago de {amount} en tu cuenta de PayPal.',
+        'payment.approve': 'Aprobar',
+        'payment.cancel': 'Cancelar',
+        'payment.method': 'Método de pago',
+        'payment.card': 'Tarjeta de crédito',
+        'payment.applePay': 'Apple Pay',
+        'payment.error.card_declined': 'Tu tarjeta ha sido rechazada. Prueba con otra.',
+        'payment.error.insufficient_funds': 'Tu tarjeta no tiene fondos suficientes.',
+        'payment.error.expired_card': 'Tu tarjeta ha caducado.',
+        'payment.error.incorrect_cvc': 'El código de seguridad es incorrecto.',
+        'payment.error.authentication_failed': 'El pago no se confirmó, así que no se te ha cobrado.',
+        'payment.error.timeout': 'La pasarela de pago no respondió. No se te ha cobrado; inténtalo de nuevo.',
+        'payment.error.network_error': 'No se pudo contactar con la pasarela de pago. Revisa tu conexión.',
+        'toast.arStarted': '¡Sesión AR iniciada!',
+        'toast.previewStarted': 'Vista 3D iniciada. AR no está disponible en este dispositivo.',
+        'toast.arEnded': 'Sesión AR finalizada. Analítica guardada.',
+        'toast.arFailed': 'No se pudo iniciar AR: {error}',
+        'toast.initFailed': 'Error al iniciar la aplicación: {error}',
+        'toast.needSurface': 'Mueve el dispositivo para detectar una superficie primero',
+        'toast.loadCancelled': 'Se canceló la carga de {name}',
+        'toast.modelFailed': 'No se pudo cargar el modelo 3D de {name}. Se muestra una caja provisional.',
+        'toast.overlaps': '{name} se solapa con {others}',
+        'toast.placed': '¡{name} colocado!',
+        'toast.placeFailed': 'No se pudo colocar {name}',
+        'toast.removed': '{name} quitado',
+        'toast.scaleTrue': 'Tamaño real: productos con sus medidas reales',
+        'toast.scaleShowcase': 'Exposición: productos a tamaño de muestra',
+        'toast.showcaseToResize': 'Cambia al modo exposición para redimensionar productos',
+        'toast.snapOn': 'Ajuste activado: los productos nuevos se colocan junto a los que se solapan',
+        'toast.snapOff': 'Ajuste desactivado: los productos se colocan justo en la retícula',
+        'toast.layoutEmpty': 'Coloca algún producto antes de guardar una distribución',
+        'toast.layoutSaved': 'Guardada "{name}"',
+        'toast.layoutPartial': 'Colocados {placed} de {total} productos ({missing} ya no están en el catálogo)',
+        'toast.orderPartial': 'Colocados {placed} de {total} productos ({missing} ya no están en el catálogo)',
+        'toast.orderPlaced': 'Colocados los productos del pedido {id}',
+        'toast.receiptBlocked': 'Las ventanas emergentes están bloqueadas; se ha descargado el recibo',
+        'toast.layoutPlaced': 'Colocada "{name}"',
+        'toast.layoutImported': 'Importada "{name}"',
+        'toast.layoutImportFailed': 'No se pudo importar la distribución: {error}',
+        'toast.outOfStock': 'Producto agotado',
+        'toast.stockLimit': 'Solo quedan {count} unidades de {name}',
+        'toast.addedToCart': '¡{name} añadido al carrito!',
+        'toast.removedFromCart': 'Artículo eliminado del carrito',
+        'toast.addedToWishlist': '{name} añadido a la lista de deseos',
+        'toast.viewing': 'Viendo los detalles de {name}',
+        'toast.paymentSuccess': '¡Pago realizado! Pedido confirmado.',
+        'toast.paymentFailed': 'El pago ha fallado: {error}',
+        'toast.voiceFailed': 'La entrada de voz ha fallado. Prueba a escribir.',
+        'toast.voiceUnsupported': 'Este navegador no admite entrada de voz'
+    },
+    fr: {
+        'start.tagline': 'Voyez-le chez vous avant d\'acheter',
+        'start.welcome': 'Bienvenue, {name} !',
+        'start.guest': 'Invité',
+        'start.session': 'Session n° {count}',
+        'start.brands': '{count} marques',
+        'start.freeShipping': 'Livraison gratuite',
+        'start.checking': 'Vérification de la compatibilité...',
+        'start.startAR': 'Lancer l\'expérience AR',
+        'start.startPreview': 'Lancer l\'aperçu 3D',
+        'start.arUnsupported': 'Cet appareil ne prend pas en charge l\'AR',
+        'start.browseCatalog': 'Parcourir le catalogue',
+        'start.tip': 'Essayez : « J\'ai besoin de café » ou « J\'ai mal au dos au travail »',
+        'start.language': 'Langue',
+        'loading.title': 'Chargement d\'ARplacementAI',
+        'loading.detail': 'Initialisation du moteur 3D...',
+        'loading.cancel': 'Annuler',
+        'common.products': '{count} produits',
+        'ar.scaleTrue': '1:1',
+        'ar.scaleShowcase': 'Vitrine',
+        'ar.toggleScale': 'Basculer taille réelle / vitrine',
+        'ar.layouts': 'Agencements',
+        'ar.measure': 'Mesurer votre espace',
+        'ar.snap': 'Placer les nouveaux produits à côté des existants',
+        'ar.cart': 'Panier',
+        'ar.orders': 'Vos commandes',
+        'instructions.move': 'Bougez pour détecter les surfaces',
+        'instructions.speak': 'Parlez ou écrivez pour lancer l\'IA',
+        'instructions.tap': 'Touchez pour placer des produits',
+        'instructions.orbit': 'Faites glisser pour tourner, défilez pour zoomer',
+        'selection.rotateLeft': 'Tourner à gauche',
+        'selection.rotateRight': 'Tourner à droite',
+        'selection.smaller': 'Plus petit',
+        'selection.larger': 'Plus grand',
+        'selection.remove': 'Retirer le produit',
+        'selection.done': 'Terminé',
+        'completeRoom.title': 'Compléter la pièce',
+        'recommendations.title': 'Vous aimerez aussi',
+        'recommendations.place': 'Placer {name}',
+        'recommendations.reason.chosenWith': 'Souvent choisi avec {name}',
+        'recommendations.reason.chosenTogether': 'Souvent choisis ensemble',
+        'recommendations.reason.matchesRequest': 'Correspond à votre demande',
+        'recommendations.reason.moreCategory': 'D\'autres articles de la catégorie {category}',
+        'recommendations.reason.popular': 'Populaire en ce moment',
+        'chat.title': 'Assistant IA',
+        'chat.placeholder': 'À quoi pensez-vous ? Essayez : « J\'ai besoin de café » ou « Ma plante a soif »',
+        'chat.hint': 'Décrivez ce qu\'il vous faut... (ex. « J\'ai besoin de café », « J\'ai mal au dos », « Aidez-moi à réparer quelque chose »)',
+        'chat.nothingLeft': 'Rien dans le catalogue ne correspond à la demande affinée ({understood}). Essayez une nouvelle demande.',
+        'chat.noMatch': 'Aucun produit ne correspond à {interpretation}.',
+        'chat.match': '{percent} % de correspondance',
+        'chat.placeSuggestion': 'Placer celui-ci',
+        'layouts.title': 'Agencements',
+        'orders.title': 'Vos commandes',
+        'orders.empty': 'Aucune commande pour l\'instant',
+        'orders.orderId': 'Commande {id}',
+        'orders.transactionId': 'Transaction {id}',
+        'orders.placeAgain': 'Replacer en AR',
+        'orders.print': 'Imprimer le reçu',
+        'orders.download': 'Télécharger le reçu',
+        'receipt.title': 'Reçu',
+        'receipt.order': 'Commande',
+        'receipt.transaction': 'Transaction',
+        'receipt.date': 'Date',
+        'receipt.paidWith': 'Payé avec {method}',
+        'receipt.item': 'Article',
+        'receipt.quantity': 'Qté',
+        'receipt.price': 'Prix',
+        'layouts.namePlaceholder': 'Nommez cet agencement...',
+        'layouts.save': 'Enregistrer l\'agencement actuel',
+        'layouts.import': 'Importer depuis un fichier',
+        'layouts.empty': 'Aucun agencement enregistré',
+        'layouts.summary': '{count} produits · {date}',
+        'layouts.place': 'Placer ici',
+        'layouts.export': 'Exporter en JSON',
+        'layouts.delete': 'Supprimer',
+        'measure.title': 'Mesurer',
+        'measure.units': 'Changer d\'unités',
+        'measure.undo': 'Annuler le dernier point',
+        'measure.clear': 'Effacer',
+        'measure.hint': 'Touchez pour poser des points sur une surface',
+        'measure.secondPoint': 'Touchez un deuxième point',
+        'measure.segment': 'Segment {number}',
+        'measure.total': 'Total',
+        'measure.footprint': 'Emprise',
+        'measure.fits': 'Rentrent : {names}',
+        'measure.nothingFits': 'Aucun article du catalogue ne rentre dans cet espace',
+        'analytics.title': 'Statistiques en direct',
+        'analytics.placements': 'Placements',
+        'analytics.impressions': 'Impressions',
+        'analytics.interactions': 'Interactions',
+        'analytics.confidence': 'Confiance de l\'IA',
+        'analytics.sessionTime': 'Durée de session',
+        'catalog.title': 'Catalogue',
+        'catalog.search': 'Rechercher des produits...',
+        'catalog.allCategories': 'Toutes les catégories',
+        'category.kitchen': 'Cuisine',
+        'category.home': 'Maison',
+        'category.tools': 'Outils',
+        'category.office': 'Bureau',
+        'category.electronics': 'Électronique',
+        'cart.title': 'Votre panier',
+        'cart.total': 'Total :',
+        'cart.checkout': 'Passer la commande',
+        'cart.quantity': 'Quantité',
+        'cart.decrease': 'Un de moins',
+        'cart.increase': 'Un de plus',
+        'payment.title': 'Paiement sécurisé',
+        'checkout.orderSummary': 'Récapitulatif',
+        'checkout.savings': 'Économies',
+        'checkout.subtotal': 'Sous-total',
+        'checkout.promo': 'Promo',
+        'checkout.shipping': 'Livraison',
+        'checkout.freeShipping': 'Gratuite',
+        'checkout.tax': 'Taxes',
+        'checkout.total': 'Total',
+        'checkout.pay': 'Payer {amount}',
+        'checkout.region': 'Livrer en',
+        'checkout.promoPlaceholder': 'Code promo',
+        'checkout.applyPromo': 'Appliquer le code promo',
+        'checkout.promoApplied': 'Appliqué : {description}',
+        'checkout.promoOffer.percent': '{value} % de réduction sur votre commande',
+        'checkout.promoOffer.fixed': '{amount} de réduction sur votre commande',
+        'checkout.promoOffer.fixedMin': '{amount} de réduction dès {minSubtotal} d\'achat',
+        'checkout.promoOffer.shipping': 'Livraison gratuite',
+        'checkout.promo.unknown': '« {code} » n\'est pas un code valide',
+        'checkout.promo.expired': '« {code} » a expiré',
+        'checkout.promo.min_subtotal': '« {code} » nécessite un sous-total d\'au moins {amount}',
+        'card.details': 'Carte bancaire',
+        'card.number': 'Numéro de carte',
+        'card.expiry': 'MM/AA',
+        'card.cvc': 'CVC',
+        'card.name': 'Titulaire de la carte',
+        'card.error.required': 'Obligatoire',
+        'card.error.incomplete_number': 'Numéro de carte incomplet',
+        'card.error.invalid_number': 'Numéro de carte invalide',
+        'card.error.incomplete_expiry': 'Format MM/AA',
+        'card.error.invalid_month': 'Le mois doit être entre 01 et 12',
+        'card.error.invalid_year': 'Année d\'expiration trop lointaine',
+        'card.error.expired': 'La carte a expiré',
+        'card.error.invalid_cvc': 'Code de sécurité invalide',
+        'payment.processing': 'Traitement...',
+        'payment.secureTitle': 'Confirmez auprès de votre banque',
+        'payment.secureBody': 'Votre banque doit confirmer ce paiement de {amount} (3-D Secure).',
+        'payment.approveTitle': 'Approuvez dans PayPal',
+        'payment.approveBody': 'Approuvez le paiement de {amount} dans votre compte PayPal.',
+        'payment.approve': 'Approuver',
+        'payment.cancel': 'Annuler',
+        'payment.method': 'Moyen de paiement',
+        'payment.card': 'Carte bancaire',
+        'payment.applePay': 'Apple Pay',
+        'payment.error.card_declined': 'Votre carte a été refusée. Essayez une autre carte.',
+        'payment.error.insufficient_funds': 'Votre carte n\'a pas de fonds suffisants.',
+        'payment.error.expired_card': 'Votre carte a expiré.',
+        'payment.error.incorrect_cvc': 'Le code de sécurité est incorrect.',
+        'payment.error.authentication_failed': 'Le paiement n\'a pas été confirmé, vous n\'avez pas été débité.',
+        'payment.error.timeout': 'La passerelle de paiement n\'a pas répondu. Vous n\'avez pas été débité ; réessayez.',
+        'payment.error.network_error': 'Impossible de joindre la passerelle de paiement. Vérifiez votre connexion.',
+        'toast.arStarted': 'Session AR démarrée !',
+        'toast.previewStarted': 'Aperçu 3D lancé. L\'AR n\'est pas disponible sur cet appareil.',
+        'toast.arEnded': 'Session AR terminée. Statistiques enregistrées.',
+        'toast.arFailed': 'Impossible de démarrer l\'AR : {error}',
+        'toast.initFailed': 'Échec de l\'initialisation : {error}',
+        'toast.needSurface': 'Bougez votre appareil pour détecter une surface d\'abord',
+        'toast.loadCancelled': 'Chargement de {name} annulé',
+        'toast.modelFailed': 'Impossible de charger le modèle 3D de {name}. Une boîte le remplace.',
+        'toast.overlaps': '{name} chevauche {others}',
+        'toast.placed': '{name} placé !',
+        'toast.placeFailed': 'Impossible de placer {name}',
+        'toast.removed': '{name} retiré',
+        'toast.scaleTrue': 'Taille réelle : produits à leurs vraies dimensions',
+        'toast.scaleShowcase': 'Vitrine : produits à taille d\'exposition',
+        'toast.showcaseToResize': 'Passez en mode vitrine pour redimensionner les produits',
+        'toast.snapOn': 'Aimant activé : les nouveaux produits se placent à côté de ceux qu\'ils chevauchent',
+        'toast.snapOff': 'Aimant désactivé : les produits se placent exactement sur le réticule',
+        'toast.layoutEmpty': 'Placez des produits avant d\'enregistrer un agencement',
+        'toast.layoutSaved': '« {name} » enregistré',
+        'toast.layoutPartial': '{placed} produits placés sur {total} ({missing} ne sont plus au catalogue)',
+        'toast.orderPartial': '{placed} produits placés sur {total} ({missing} ne sont plus au catalogue)',
+        'toast.orderPlaced': 'Produits de la commande {id} placés',
+        'toast.receiptBlocked': 'Les fenêtres pop-up sont bloquées, le reçu a été téléchargé',
+        'toast.layoutPlaced': '« {name} » placé',
+        'toast.layoutImported': '« {name} » importé',
+        'toast.layoutImportFailed': 'Impossible d\'importer l\'agencement : {error}',
+        'toast.outOfStock': 'Produit en rupture de stock',
+        'toast.stockLimit': 'Plus que {count} {name} en stock',
+        'toast.addedToCart': '{name} ajouté au panier !',
+        'toast.removedFromCart': 'Article retiré du panier',
+        'toast.addedToWishlist': '{name} ajouté à la liste d\'envies',
+        'toast.viewing': 'Détails de {name}',
+        'toast.paymentSuccess': 'Paiement réussi ! Commande confirmée.',
+        'toast.paymentFailed': 'Échec du paiement : {error}',
+        'toast.voiceFailed': 'La saisie vocale a échoué. Essayez d\'écrire.',
+        'toast.voiceUnsupported': 'Ce navigateur ne prend pas en charge la saisie vocale'
+    }
+};
+
+// "es-MX" -> "es"; anything unsupported falls back to English
+export function resolveLocale(requested) {
+    const language = String(requested || '').toLowerCase().split(/[-_]/)[0];
+    return LOCALES[language] ? language : DEFAULT_LOCALE;
+}
+
+export function createTranslator(locale) {
+    const messages = MESSAGES[locale] || {};
+    const fallback = MESSAGES[DEFAULT_LOCALE];
+
+    return (key, params = {}) => {
+        const template = messages[key] ?? fallback[key] ?? key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+    };
+}
+
+export function localizeProduct(product, locale) {
+    const translation = product.translations?.[locale];
+    if (!translation) return product;
+
+    const localized = { ...product };
+    LOCALIZED_FIELDS.forEach(field => {
+        if (translation[field] !== undefined) localized[field] = translation[field];
+    });
+    // Triggers and tags are matched against lower-cased input. Source tags are
+    // kept as well, since merchandising rules and recommendations key on them.
+    localized.triggers = localized.triggers.map(trigger => trigger.toLowerCase());
+    localized.tags = [...new Set([...product.tags, ...(translation.tags || []).map(tag => tag.toLowerCase())])];
+    return localized;
+}
+
+export function localizeCatalog(catalog, locale) {
+    return catalog.map(product => localizeProduct(product, locale));
+}
@@ -0,0 +1,158 @@
+// ============================================
+// ORDERS & RECEIPTS
+// ============================================
+//
+// An order is recorded from the checkout quote at the moment payment
+// succeeds, so it keeps what was actually charged even if prices change
+// later. Orders go in userProfile.history.purchased:
+//
+//   {
+//     orderId, transactionId, intentId, timestamp,
+//     paymentMethod: { type, brand, last4 },
+//     items: [{ id, name, brand, variant, quantity, price, listCents, unitCents, subtotalCents }],
+//     totals: { listCents, discountCents, subtotalCents, promoCode, promoDiscountCents,
+//               shippingCents, taxCents, taxRate, regionLabel, totalCents }
+//   }
+//
+// Entries saved before orders were recorded this way ({ orderId, items:
+// [{ id, name, price }], timestamp }) are read through normalizeOrder().
+
+import { toCents, formatCents } from './pricing.js';
+
+// lines are the cart lines the quote was made from, in the same order
+export function buildOrder({ paymentResult, quote, lines, timestamp = Date.now() }) {
+    return {
+        orderId: paymentResult.orderId,
+        transactionId: paymentResult.transactionId || null,
+        intentId: paymentResult.intentId || null,
+        timestamp,
+        paymentMethod: paymentResult.paymentMethod || null,
+        items: lines.map((line, i) => ({
+            id: line.id,
+            name: line.name,
+            brand: line.brand,
+            variant: line.variant || null,
+            quantity: line.quantity,
+            price: quote.lines[i].unitCents / 100,
+            listCents: quote.lines[i].listCents,
+            unitCents: quote.lines[i].unitCents,
+            subtotalCents: quote.lines[i].subtotalCents
+        })),
+        totals: {
+            listCents: quote.listCents,
+            discountCents: quote.discountCents,
+            subtotalCents: quote.subtotalCents,
+            promoCode: quote.promo?.valid ? quote.promo.code : null,
+            promoDiscountCents: quote.promoDiscountCents,
+            shippingCents: quote.shippingCents,
+            taxCents: quote.taxCents,
+            taxRate: quote.taxRate,
+            regionLabel: quote.regionLabel,
+            totalCents: quote.totalCents
+        }
+    };
+}
+
+export function normalizeOrder(order) {
+    if (order.totals) return order;
+
+    const items = (order.items || []).map(item => {
+        const unitCents = toCents(item.price);
+        return { ...item, quantity: item.quantity || 1, listCents: unitCents, unitCents, subtotalCents: unitCents * (item.quantity || 1) };
+    });
+    const subtotalCents = items.reduce((sum, item) => sum + item.subtotalCents, 0);
+
+    return {
+        transactionId: null,
+        intentId: null,
+        paymentMethod: null,
+        ...order,
+        items,
+        totals: {
+            listCents: subtotalCents,
+            discountCents: 0,
+            subtotalCents,
+            promoCode: null,
+            promoDiscountCents: 0,
+            shippingCents: 0,
+            taxCents: 0,
+            taxRate: 0,
+            regionLabel: null,
+            totalCents: subtotalCents
+        }
+    };
+}
+
+export function describePaymentMethod(paymentMethod) {
+    if (!paymentMethod) return null;
+    if (paymentMethod.type === 'paypal') return 'PayPal';
+    if (paymentMethod.type === 'applepay') return 'Apple Pay';
+
+    const brand = paymentMethod.brand ? paymentMethod.brand[0].toUpperCase() + paymentMethod.brand.slice(1) : 'Card';
+    return paymentMethod.last4 ? `${brand} •••• ${paymentMethod.last4}` : brand;
+}
+
+export function receiptFileName(order) {
+    return `receipt-${order.orderId.replace(/[^a-z0-9-_]+/gi, '_')}.html`;
+}
+
+// A standalone HTML page for printing or saving. t is the app's translator.
+export function renderReceipt(order, { t, locale = 'en' }) {
+    const { items, totals } = order;
+    const date = new Date(order.timestamp).toLocaleString(locale);
+    const paidWith = describePaymentMethod(order.paymentMethod);
+    const row = (label, cents) => `<tr class="total"><td colspan="3">${label}</td><td>${formatCents(cents)}</td></tr>`;
+
+    return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+<meta charset="utf-8">
+<title>${t('receipt.title')} ${order.orderId}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111; max-width: 640px; margin: 40px auto; padding: 0 20px; }
+    h1 { font-size: 22px; margin-bottom: 4px; }
+    .meta { color: #555; font-size: 13px; line-height: 1.6; margin-bottom: 24px; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th, td { text-align: left; padding: 6px 0; }
+    th:last-child, td:last-child, th:nth-child(2), td:nth-child(2), th:nth-child(3), td:nth-child(3) { text-align: right; }
+    thead th { border-bottom: 2px solid #111; }
+    tbody td { border-bottom: 1px solid #ddd; }
+    tr.total td { padding: 4px 0; }
+    tr.grand td { border-top: 2px solid #111; font-weight: bold; font-size: 16px; padding-top: 8px; }
+    .muted { color: #777; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>ARplacementAI — ${t('receipt.title')}</h1>
+<div class="meta">
+    ${t('receipt.order')}: ${order.orderId}<br>
+    ${order.transactionId ? `${t('receipt.transaction')}: ${order.transactionId}<br>` : ''}
+    ${t('receipt.date')}: ${date}<br>
+    ${paidWith ? `${t('receipt.paidWith', { method: paidWith })}` : ''}
+</div>
+<table>
+    <thead>
+        <tr><th>${t('receipt.item')}</th><th>${t('receipt.quantity')}</th><th>${t('receipt.price')}</th><th>${t('checkout.total')}</th></tr>
+    </thead>
+    <tbody>
+        ${items.map(item => `
+        <tr>
+            <td>${item.name}${item.brand ? `<div class="muted">${item.brand}</div>` : ''}</td>
+            <td>${item.quantity}</td>
+            <td>${formatCents(item.unitCents)}</td>
+            <td>${formatCents(item.subtotalCents)}</td>
+        </tr>`).join('')}
+    </tbody>
+    <tfoot>
+        ${totals.discountCents ? row(t('checkout.savings'), -totals.discountCents) : ''}
+        ${row(t('checkout.subtotal'), totals.subtotalCents)}
+        ${totals.promoCode ? row(`${t('checkout.promo')} ${totals.promoCode}`, -totals.promoDiscountCents) : ''}
+        ${row(t('checkout.shipping'), totals.shippingCents)}
+        ${totals.regionLabel ? row(`${t('checkout.tax')} (${totals.regionLabel}, ${+(totals.taxRate * 100).toFixed(3)}%)`, totals.taxCents) : ''}
+        <tr class="total grand"><td colspan="3">${t('checkout.total')}</td><td>${formatCents(totals.totalCents)}</td></tr>
+    </tfoot>
+</table>
+</body>
+</html>
+`;
+}
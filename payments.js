@@ -0,0 +1,277 @@
+// ============================================
+// PAYMENT GATEWAYS
+// ============================================
+//
+// Checkout talks to a gateway adapter rather than a provider SDK. Adapters
+// follow a Stripe-style payment intent flow:
+//
+//   createPaymentMethod({ type, card })          -> { id, type, card: { brand, last4 } }
+//   createIntent({ amountCents, currency })      -> intent
+//   confirmIntent(intentId, { paymentMethod })   -> intent
+//   authenticateIntent(intentId, { approved })   -> intent (after requires_action)
+//   cancelIntent(intentId)                       -> intent
+//
+// Intent status: requires_payment_method -> requires_action (3-D Secure or a
+// PayPal approval, see nextAction.type) -> succeeded. A decline sends it back
+// to requires_payment_method with lastError { code, message }. Timeouts,
+// unreachable gateways and bad requests are thrown as PaymentError.
+//
+// Card numbers go into createPaymentMethod and nowhere else; adapters keep
+// only the brand and last four digits.
+
+import { detectBrand } from './card-form.js';
+
+export class PaymentError extends Error {
+    // code: 'card_declined' | 'insufficient_funds' | 'expired_card' | 'incorrect_cvc'
+    //     | 'authentication_failed' | 'timeout' | 'network_error' | 'invalid_request'
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'PaymentError';
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+// Test cards for MockGatewayAdapter (numbers match Stripe's test cards where
+// Stripe has one). Any other card number succeeds.
+export const MOCK_CARDS = {
+    '4242424242424242': 'succeed',
+    '5555555555554444': 'succeed',
+    '4000002500003155': 'three_d_secure',
+    '4000000000000002': 'card_declined',
+    '4000000000009995': 'insufficient_funds',
+    '4000000000000069': 'expired_card',
+    '4000000000000127': 'incorrect_cvc',
+    '4000000000000259': 'timeout'
+};
+
+const DECLINE_MESSAGES = {
+    card_declined: 'Your card was declined.',
+    insufficient_funds: 'Your card has insufficient funds.',
+    expired_card: 'Your card has expired.',
+    incorrect_cvc: 'Your card\'s security code is incorrect.',
+    authentication_failed: 'The payment was not authenticated.'
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// In-memory gateway with fixed outcomes per test card, so a checkout can be
+// replayed exactly. PayPal always asks for approval; Apple Pay succeeds.
+export class MockGatewayAdapter {
+    constructor({ latencyMs = 600, timeoutMs = 8000, cards = MOCK_CARDS } = {}) {
+        this.latencyMs = latencyMs;
+        this.timeoutMs = timeoutMs;
+        this.cards = cards;
+        this.methods = new Map();
+        this.intents = new Map();
+        this.sequence = 0;
+    }
+
+    nextId(prefix) {
+        return `${prefix}_mock_${String(++this.sequence).padStart(6, '0')}`;
+    }
+
+    getIntent(intentId) {
+        const intent = this.intents.get(intentId);
+        if (!intent) {
+            throw new PaymentError('invalid_request', `No payment intent "${intentId}"`);
+        }
+        return intent;
+    }
+
+    // Callers get copies so they can't change the gateway's state
+    snapshot(intent) {
+        return JSON.parse(JSON.stringify(intent));
+    }
+
+    async createPaymentMethod({ type, card } = {}) {
+        await sleep(this.latencyMs);
+
+        let scenario;
+        let details = null;
+        if (type === 'card') {
+            const digits = String(card?.number || '').replace(/\D/g, '');
+            if (!digits) {
+                throw new PaymentError('invalid_request', 'Card number is required');
+            }
+            scenario = this.cards[digits] || 'succeed';
+            details = { brand: detectBrand(digits), last4: digits.slice(-4) };
+        } else if (type === 'paypal' || type === 'applepay') {
+            scenario = type === 'paypal' ? 'redirect_approval' : 'succeed';
+        } else {
+            throw new PaymentError('invalid_request', `Unsupported payment method "${type}"`);
+        }
+
+        const method = { id: this.nextId('pm'), type, card: details };
+        this.methods.set(method.id, { ...method, scenario });
+        return method;
+    }
+
+    async createIntent({ amountCents, currency = 'usd', metadata = {} } = {}) {
+        await sleep(this.latencyMs);
+
+        if (!Number.isInteger(amountCents) || amountCents <= 0) {
+            throw new PaymentError('invalid_request', `Amount must be a positive number of cents (got ${amountCents})`);
+        }
+
+        const intent = {
+            id: this.nextId('pi'),
+            amountCents,
+            currency,
+            status: 'requires_payment_method',
+            paymentMethod: null,
+            nextAction: null,
+            lastError: null,
+            chargeId: null,
+            metadata,
+            created: Date.now()
+        };
+        this.intents.set(intent.id, intent);
+        return this.snapshot(intent);
+    }
+
+    async confirmIntent(intentId, { paymentMethod } = {}) {
+        await sleep(this.latencyMs);
+
+        const intent = this.getIntent(intentId);
+        const method = this.methods.get(paymentMethod);
+        if (!method) {
+            throw new PaymentError('invalid_request', `No payment method "${paymentMethod}"`);
+        }
+        if (intent.status !== 'requires_payment_method') {
+            throw new PaymentError('invalid_request', `Payment intent is ${intent.status}`);
+        }
+
+        intent.paymentMethod = method.id;
+        intent.lastError = null;
+
+        switch (method.scenario) {
+            case 'succeed':
+                this.succeed(intent);
+                break;
+            case 'three_d_secure':
+            case 'redirect_approval':
+                intent.status = 'requires_action';
+                intent.nextAction = { type: method.scenario };
+                break;
+            case 'timeout':
+                // The charge is stuck; the caller gives up and should cancel
+                intent.status = 'processing';
+                await sleep(this.timeoutMs);
+                throw new PaymentError('timeout', 'The payment gateway did not respond in time');
+            default:
+                this.decline(intent, method.scenario);
+        }
+        return this.snapshot(intent);
+    }
+
+    async authenticateIntent(intentId, { approved = false } = {}) {
+        await sleep(this.latencyMs);
+
+        const intent = this.getIntent(intentId);
+        if (intent.status !== 'requires_action') {
+            throw new PaymentError('invalid_request', `Payment intent is ${intent.status}`);
+        }
+
+        intent.nextAction = null;
+        if (approved) {
+            this.succeed(intent);
+        } else {
+            this.decline(intent, 'authentication_failed');
+        }
+        return this.snapshot(intent);
+    }
+
+    async cancelIntent(intentId) {
+        const intent = this.getIntent(intentId);
+        if (intent.status !== 'succeeded') {
+            intent.status = 'canceled';
+            intent.nextAction = null;
+        }
+        return this.snapshot(intent);
+    }
+
+    succeed(intent) {
+        intent.status = 'succeeded';
+        intent.chargeId = this.nextId('ch');
+    }
+
+    decline(intent, code) {
+        intent.status = 'requires_payment_method';
+        intent.lastError = { code, message: DECLINE_MESSAGES[code] || DECLINE_MESSAGES.card_declined };
+    }
+}
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// The ?gateway= development override. Card details are posted to this
+// origin, so anything other than a gateway on this machine is refused.
+export function localGatewayUrl(value) {
+    if (!value) return null;
+    try {
+        const url = new URL(value);
+        const local = ['http:', 'https:'].includes(url.protocol) && LOCAL_HOSTS.includes(url.hostname);
+        return local ? url.origin : null;
+    } catch {
+        return null;
+    }
+}
+
+// Talks to a gateway over HTTP, e.g. tools/mock-payment-server.mjs or a
+// backend that wraps the real provider. Endpoints mirror the adapter methods.
+export class HttpGatewayAdapter {
+    constructor({ baseUrl, timeoutMs = 10000, fetch = globalThis.fetch.bind(globalThis) }) {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.timeoutMs = timeoutMs;
+        this.fetch = fetch;
+    }
+
+    async request(path, body = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        let response;
+        try {
+            response = await this.fetch(`${this.baseUrl}${path}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new PaymentError('timeout', 'The payment gateway did not respond in time');
+            }
+            throw new PaymentError('network_error', `Payment gateway unreachable: ${error.message}`);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const { code = 'invalid_request', message = `HTTP ${response.status}` } = data.error || {};
+            throw new PaymentError(code, message);
+        }
+        return data;
+    }
+
+    createPaymentMethod(method) {
+        return this.request('/payment_methods', method);
+    }
+
+    createIntent(params) {
+        return this.request('/payment_intents', params);
+    }
+
+    confirmIntent(intentId, params) {
+        return this.request(`/payment_intents/${encodeURIComponent(intentId)}/confirm`, params);
+    }
+
+    authenticateIntent(intentId, params) {
+        return this.request(`/payment_intents/${encodeURIComponent(intentId)}/authenticate`, params);
+    }
+
+    cancelIntent(intentId) {
+        return this.request(`/payment_intents/${encodeURIComponent(intentId)}/cancel`);
+    }
+}
@@ -0,0 +1,158 @@
+// ============================================
+// PRICING
+// ============================================
+//
+// Every total the shopper sees (labels, catalog, cart, checkout) is quoted
+// here so they always agree. Amounts are integer cents throughout and only
+// turned back into dollars for display, so 3 x $0.10 is 30 cents rather
+// than 0.30000000000000004.
+//
+//   catalog `price`     list price per unit
+//   catalog `discount`  percent off the list price, rounded per unit
+//   catalog `shipping`  { free } or { cost } per unit shipped
+//
+// Order of operations: line discounts -> promo code -> shipping -> tax.
+
+export const TAX_REGIONS = {
+    'US-CA': { label: 'California', rate: 0.0725, taxShipping: false },
+    'US-NY': { label: 'New York', rate: 0.04, taxShipping: true },
+    'US-TX': { label: 'Texas', rate: 0.0625, taxShipping: true },
+    'US-WA': { label: 'Washington', rate: 0.065, taxShipping: true },
+    'US-OR': { label: 'Oregon', rate: 0, taxShipping: false },
+    GB: { label: 'United Kingdom', rate: 0.2, taxShipping: true },
+    DE: { label: 'Germany', rate: 0.19, taxShipping: true },
+    FR: { label: 'France', rate: 0.2, taxShipping: true },
+    ES: { label: 'Spain', rate: 0.21, taxShipping: true }
+};
+
+export const DEFAULT_REGION = 'US-CA';
+
+// type: 'percent' (value = percent off the discounted subtotal),
+// 'fixed' (value = dollars off) or 'shipping' (free shipping).
+// Optional minSubtotal (dollars) and expires (ISO date, inclusive).
+// Shoppers see them described by the 'checkout.promoOffer.<type>' messages.
+export const PROMO_CODES = {
+    WELCOME10: { type: 'percent', value: 10 },
+    FREESHIP: { type: 'shipping' },
+    SAVE50: { type: 'fixed', value: 50, minSubtotal: 300 }
+};
+
+export function toCents(amount) {
+    return Math.round((Number(amount) || 0) * 100);
+}
+
+export function formatCents(cents) {
+    const sign = cents < 0 ? '-' : '';
+    return `${sign}$${(Math.abs(cents) / 100).toFixed(2)}`;
+}
+
+function unitPriceOf(product) {
+    const listCents = toCents(product.price);
+    const percent = Math.min(100, Math.max(0, product.discount || 0));
+    const discountCents = Math.round(listCents * percent / 100);
+    return { listCents, discountCents, unitCents: listCents - discountCents, percent };
+}
+
+// The discounted dollars per unit that labels show; budgets and price
+// filters compare against this, not the list price
+export function salePrice(product) {
+    return unitPriceOf(product).unitCents / 100;
+}
+
+export class PriceEngine {
+    constructor({ taxRegions = TAX_REGIONS, promoCodes = PROMO_CODES, region = DEFAULT_REGION } = {}) {
+        this.taxRegions = taxRegions;
+        this.promoCodes = promoCodes;
+        this.region = region;
+    }
+
+    // Per-unit prices for one product
+    unitPrice(product) {
+        return unitPriceOf(product);
+    }
+
+    shippingPerUnit(product) {
+        const { shipping } = product;
+        return !shipping || shipping.free ? 0 : toCents(shipping.cost);
+    }
+
+    // line: a product (or cart line) with a quantity
+    quoteLine(line) {
+        const quantity = line.quantity ?? 1;
+        const { listCents, discountCents, unitCents, percent } = this.unitPrice(line);
+        return {
+            id: line.id,
+            key: line.key ?? line.id,
+            name: line.name,
+            quantity,
+            percent,
+            listCents,
+            unitCents,
+            discountCents: discountCents * quantity,
+            subtotalCents: unitCents * quantity,
+            shippingCents: this.shippingPerUnit(line) * quantity
+        };
+    }
+
+    // Returns { valid, code, promo } or { valid: false, code, error } with
+    // error 'unknown' | 'expired' | 'min_subtotal'
+    validatePromoCode(code, subtotalCents = 0, now = new Date()) {
+        const normalized = String(code || '').trim().toUpperCase();
+        const promo = this.promoCodes[normalized];
+
+        if (!promo) return { valid: false, code: normalized, error: 'unknown' };
+        if (promo.expires && now.getTime() > new Date(promo.expires).getTime() + (/T/.test(promo.expires) ? 0 : 86399999)) {
+            return { valid: false, code: normalized, error: 'expired' };
+        }
+        if (promo.minSubtotal && subtotalCents < toCents(promo.minSubtotal)) {
+            return { valid: false, code: normalized, error: 'min_subtotal', minSubtotalCents: toCents(promo.minSubtotal) };
+        }
+        return { valid: true, code: normalized, promo };
+    }
+
+    quote(lines, { region = this.region, promoCode = null, now = new Date() } = {}) {
+        const quoted = lines.map(line => this.quoteLine(line));
+        const sum = key => quoted.reduce((total, line) => total + line[key], 0);
+
+        const listCents = quoted.reduce((total, line) => total + line.listCents * line.quantity, 0);
+        const discountCents = sum('discountCents');
+        const subtotalCents = sum('subtotalCents');
+        let shippingCents = sum('shippingCents');
+
+        let promo = null;
+        let promoDiscountCents = 0;
+        if (promoCode) {
+            promo = this.validatePromoCode(promoCode, subtotalCents, now);
+            if (promo.valid) {
+                const { type, value } = promo.promo;
+                if (type === 'percent') promoDiscountCents = Math.round(subtotalCents * value / 100);
+                if (type === 'fixed') promoDiscountCents = Math.min(subtotalCents, toCents(value));
+                if (type === 'shipping') {
+                    promoDiscountCents = shippingCents;
+                    shippingCents = 0;
+                }
+            }
+        }
+
+        const tax = this.taxRegions[region] || { label: region, rate: 0, taxShipping: false };
+        // A free-shipping promo has already zeroed shippingCents, so it isn't taxed either
+        const goodsCents = subtotalCents - (promo?.promo?.type === 'shipping' ? 0 : promoDiscountCents);
+        const taxableCents = goodsCents + (tax.taxShipping ? shippingCents : 0);
+        const taxCents = Math.round(taxableCents * tax.rate);
+
+        return {
+            lines: quoted,
+            listCents,
+            discountCents,
+            subtotalCents,
+            promo,
+            promoDiscountCents,
+            shippingCents,
+            region,
+            regionLabel: tax.label,
+            taxRate: tax.rate,
+            taxCents,
+            totalCents: goodsCents + shippingCents + taxCents
+        };
+    }
+}
@@ -0,0 +1,178 @@
+// ============================================
+// OFFLINE SEMANTIC INDEX
+// ============================================
+//
+// Matches intent words that never appear in a product's triggers
+// ("exhausted" -> espresso machine) without any network or model download.
+// Every product and query becomes a sparse vector with two kinds of
+// dimension:
+//
+//   - t:<stem>     TF-IDF weight of a word stem from the product's name,
+//                  description, features, tags, triggers and category
+//   - c:<concept>  a concept from the bundled lexicon below, acting as a tiny
+//                  hand-built word-vector table shared by query and catalog
+//
+// Similarity is the cosine of the two vectors.
+
+import { stem } from './catalog-index.js';
+
+// Each concept is one dimension; a word may belong to several
+export const CONCEPT_LEXICON = {
+    energy: ['tired', 'exhausted', 'sleepy', 'drowsy', 'fatigue', 'fatigued', 'wake', 'awake', 'morning',
+        'caffeine', 'coffee', 'espresso', 'latte', 'cappuccino', 'energy', 'brew', 'barista', 'boost', 'alert'],
+    relaxation: ['relax', 'calm', 'stress', 'stressed', 'anxious', 'unwind', 'chill', 'peaceful', 'cozy',
+        'zen', 'meditate', 'tranquil', 'evening', 'rest'],
+    nature: ['plant', 'garden', 'green', 'nature', 'grow', 'herb', 'flower', 'leaf', 'soil', 'watering',
+        'sustainable', 'eco', 'fresh', 'organic', 'balcony'],
+    repair: ['fix', 'repair', 'broken', 'build', 'diy', 'tool', 'drill', 'hammer', 'screw', 'wrench',
+        'maintenance', 'construction', 'assemble', 'shelf', 'leak', 'piece'],
+    posture: ['back', 'pain', 'ache', 'sore', 'posture', 'spine', 'neck', 'ergonomic', 'sitting',
+        'standing', 'stiff', 'health', 'desk', 'chair'],
+    work: ['work', 'office', 'productive', 'productivity', 'focus', 'concentrate', 'study', 'desk',
+        'meeting', 'remote', 'laptop', 'deadline'],
+    audio: ['music', 'sound', 'audio', 'listen', 'song', 'podcast', 'headphone', 'speaker', 'bass',
+        'noise', 'loud', 'quiet', 'silence', 'playlist', 'spatial'],
+    travel: ['travel', 'flight', 'plane', 'commute', 'trip', 'journey', 'train', 'vacation', 'holiday',
+        'portable', 'battery'],
+    cooking: ['kitchen', 'cook', 'bake', 'meal', 'breakfast', 'recipe', 'chef', 'food', 'drink'],
+    smart: ['smart', 'app', 'wifi', 'connected', 'automatic', 'auto', 'tech', 'gadget', 'wireless',
+        'bluetooth', 'monitoring', 'tracking'],
+    premium: ['premium', 'luxury', 'professional', 'quality', 'gift', 'fancy', 'grade']
+};
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'the', 'with', 'for', 'of', 'to', 'in', 'on', 'by', 'my', 'i', 'me', 'is', 'am',
+    'need', 'want', 'some', 'something', 'really', 'very', 'so', 'feel', 'feeling', 'get'
+]);
+
+function tokenize(text) {
+    return text.toLowerCase()
+        .split(/[^\p{L}]+/u)
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .map(stem);
+}
+
+function productText(product) {
+    return [
+        product.name,
+        product.description || '',
+        ...(product.features || []),
+        ...(product.tags || []),
+        ...(product.triggers || []),
+        product.category || ''
+    ].join(' ');
+}
+
+function norm(vector) {
+    let sum = 0;
+    vector.forEach(value => { sum += value * value; });
+    return Math.sqrt(sum);
+}
+
+export class SemanticIndex {
+    constructor(catalog, { conceptWeight = 1.5, lexicon = CONCEPT_LEXICON } = {}) {
+        this.catalog = catalog;
+        this.conceptWeight = conceptWeight;
+
+        // stem -> concepts
+        this.lexicon = new Map();
+        Object.entries(lexicon).forEach(([concept, words]) => {
+            words.forEach(word => {
+                const key = stem(word);
+                if (!this.lexicon.has(key)) this.lexicon.set(key, new Set());
+                this.lexicon.get(key).add(concept);
+            });
+        });
+
+        const documents = catalog.map(product => tokenize(productText(product)));
+
+        // Smoothed IDF so a stem in every product still counts a little
+        const documentFrequency = new Map();
+        documents.forEach(tokens => {
+            new Set(tokens).forEach(token => {
+                documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+            });
+        });
+        this.idf = new Map();
+        documentFrequency.forEach((count, token) => {
+            this.idf.set(token, Math.log((catalog.length + 1) / (count + 1)) + 1);
+        });
+
+        this.vectors = new Map();
+        this.norms = new Map();
+        this.postings = new Map();
+        catalog.forEach((product, i) => {
+            const vector = this.vectorize(documents[i]);
+            this.vectors.set(product, vector);
+            this.norms.set(product, norm(vector));
+            vector.forEach((_, dimension) => {
+                if (!this.postings.has(dimension)) this.postings.set(dimension, new Set());
+                this.postings.get(dimension).add(product);
+            });
+        });
+
+        this.lastQuery = { key: null, vector: null, norm: 0 };
+    }
+
+    vectorize(tokens) {
+        const counts = new Map();
+        const count = dimension => counts.set(dimension, (counts.get(dimension) || 0) + 1);
+
+        tokens.forEach(token => {
+            // Words the catalog never uses can still carry meaning through the lexicon
+            if (this.idf.has(token)) count(`t:${token}`);
+            (this.lexicon.get(token) || []).forEach(concept => count(`c:${concept}`));
+        });
+
+        // Sublinear counts so one heavily described concept doesn't drown the rest
+        const vector = new Map();
+        counts.forEach((n, dimension) => {
+            const weight = dimension.startsWith('c:') ?
+                this.conceptWeight :
+                this.idf.get(dimension.slice(2));
+            vector.set(dimension, (1 + Math.log(n)) * weight);
+        });
+        return vector;
+    }
+
+    // Query vectors are cached for the last query, since every product is scored against it
+    queryVector(words) {
+        const key = words.join(' ');
+        if (this.lastQuery.key !== key) {
+            const vector = this.vectorize(tokenize(key));
+            this.lastQuery = { key, vector, norm: norm(vector) };
+        }
+        return this.lastQuery;
+    }
+
+    // Cosine similarity plus the concept contributing most to it
+    similarity(words, product) {
+        const query = this.queryVector(words);
+        const vector = this.vectors.get(product);
+        const productNorm = this.norms.get(product);
+        if (!vector || !query.norm || !productNorm) return { similarity: 0, concept: null };
+
+        let dot = 0;
+        let concept = null;
+        let best = 0;
+        query.vector.forEach((value, dimension) => {
+            const contribution = value * (vector.get(dimension) || 0);
+            dot += contribution;
+            if (dimension.startsWith('c:') && contribution > best) {
+                best = contribution;
+                concept = dimension.slice(2);
+            }
+        });
+
+        return { similarity: dot / (query.norm * productNorm), concept };
+    }
+
+    // Products sharing at least one dimension with the query
+    candidates(words) {
+        const products = new Set();
+        this.queryVector(words).vector.forEach((_, dimension) => {
+            (this.postings.get(dimension) || []).forEach(product => products.add(product));
+        });
+        return products;
+    }
+}
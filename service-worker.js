@@ -1,9 +1,20 @@
-const CACHE_NAME = 'arplacementai-v1';
+const CACHE_NAME = 'arplacementai-v13';
 const ASSETS = [
     './',
     './index.html',
     './style.css',
     './app.js',
+    './ai-engine.js',
+    './catalog-index.js',
+    './semantic-index.js',
+    './demo-catalog.js',
+    './business-rules.js',
+    './i18n.js',
+    './cart.js',
+    './pricing.js',
+    './payments.js',
+    './card-form.js',
+    './orders.js',
     'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
 ];
 
@@ -30,7 +41,27 @@ self.addEventListener('activate', (event) => {
     );
 });
 
+// Merchandisers edit these between releases, so the network copy wins and the
+// cached one is only for offline use
+const NETWORK_FIRST = ['/business-rules.json'];
+
 self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (url.origin === self.location.origin && NETWORK_FIRST.some(path => url.pathname.endsWith(path))) {
+        event.respondWith(
+            fetch(event.request)
+                .then((response) => {
+                    if (response.ok) {
+                        const copy = response.clone();
+                        caches.open(CACHE_NAME).then((cache) => cache.put(event.request, copy));
+                    }
+                    return response;
+                })
+                .catch(() => caches.match(event.request).then((response) => response || Response.error()))
+        );
+        return;
+    }
+    
     event.respondWith(
         caches.match(event.request)
             .then((response) => {
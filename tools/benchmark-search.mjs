@@ -0,0 +1,112 @@
+// Benchmarks catalog matching over synthetic catalogs, indexed vs full scan.
+//
+//   node tools/benchmark-search.mjs [sizes] [queries]
+//   node tools/benchmark-search.mjs 1000,10000,50000 200
+//
+// The full scan is the pre-index behaviour (Levenshtein against every
+// trigger of every product) and is skipped above 20k products. Results of
+// both paths are compared so a mismatch in the top suggestion is reported.
+
+import { EnhancedContextualAI } from '../ai-engine.js';
+
+const sizes = (process.argv[2] || '100,1000,5000,20000').split(',').map(Number);
+const queryCount = Number(process.argv[3] || 100);
+const FULL_SCAN_LIMIT = 20000;
+
+// Small seeded PRNG so runs are comparable
+function mulberry32(seed) {
+    return () => {
+        seed |= 0;
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const CONSONANTS = 'bcdfghklmnprstvz';
+const VOWELS = 'aeiou';
+const CATEGORIES = ['kitchen', 'home', 'tools', 'office', 'electronics', 'garden', 'outdoor', 'bath'];
+const COLORS = ['#000000', '#FFFFFF', '#8B4513', '#228B22', '#DC143C', '#1E50C8', '#808080'];
+
+function createCatalog(size, random) {
+    const pick = list => list[Math.floor(random() * list.length)];
+    const word = () => Array.from({ length: 2 + Math.floor(random() * 3) }, () => pick(CONSONANTS) + pick(VOWELS)).join('');
+
+    // Vocabulary grows with the catalog, roughly like real product language
+    const vocabulary = Array.from({ length: Math.max(200, Math.round(size / 4)) }, word);
+    const brands = Array.from({ length: 50 }, () => `${word()}co`);
+
+    return Array.from({ length: size }, (_, i) => ({
+        id: `sku_${i}`,
+        name: `${pick(vocabulary)} ${pick(vocabulary)}`,
+        brand: pick(brands),
+        category: pick(CATEGORIES),
+        price: Math.round(random() * 100000) / 100,
+        discount: random() < 0.2 ? 20 : 0,
+        stock: Math.floor(random() * 50),
+        rating: 3 + Math.round(random() * 20) / 10,
+        tags: Array.from({ length: 3 }, () => pick(vocabulary)),
+        triggers: Array.from({ length: 3 + Math.floor(random() * 3) }, () => pick(vocabulary)),
+        colors: [pick(COLORS), pick(COLORS)]
+    }));
+}
+
+function createQueries(catalog, count, random) {
+    const pick = list => list[Math.floor(random() * list.length)];
+    const typo = word => {
+        const i = Math.floor(random() * word.length);
+        return word.slice(0, i) + pick(CONSONANTS) + word.slice(i + 1);
+    };
+
+    return Array.from({ length: count }, () => {
+        const product = pick(catalog);
+        const words = [pick(product.triggers), random() < 0.5 ? typo(pick(product.tags)) : pick(product.tags)];
+        if (random() < 0.3) words.push('under', `$${Math.round(product.price * 1.5)}`);
+        return `i want ${words.join(' ')}`;
+    });
+}
+
+function time(fn) {
+    const started = performance.now();
+    const result = fn();
+    return { result, ms: performance.now() - started };
+}
+
+function run(size) {
+    const random = mulberry32(size);
+    const catalog = createCatalog(size, random);
+    const queries = createQueries(catalog, queryCount, random);
+    const now = new Date('2024-01-01T12:00:00');
+
+    const indexed = new EnhancedContextualAI();
+    const build = time(() => indexed.indexCatalog(catalog));
+    const indexedRun = time(() => queries.map(q => indexed.analyzeContext(q, catalog, null, { now })));
+
+    const row = {
+        products: size,
+        terms: build.result.index.getStats().terms,
+        'build ms': build.ms.toFixed(1),
+        'indexed ms/query': (indexedRun.ms / queries.length).toFixed(3)
+    };
+
+    if (size <= FULL_SCAN_LIMIT) {
+        const scan = new EnhancedContextualAI({ useIndex: false });
+        const scanRun = time(() => queries.map(q => scan.analyzeContext(q, catalog, null, { now })));
+        const mismatches = queries.filter((_, i) => {
+            const a = indexedRun.result[i][0];
+            const b = scanRun.result[i][0];
+            // Stem matches may add score, so compare the best score reached rather than identity on ties
+            return (a?.product.id !== b?.product.id) && (a?.score ?? 0) < (b?.score ?? 0);
+        }).length;
+
+        row['scan ms/query'] = (scanRun.ms / queries.length).toFixed(3);
+        row.speedup = `${(scanRun.ms / indexedRun.ms).toFixed(1)}x`;
+        row['top-1 regressions'] = mismatches;
+    }
+
+    return row;
+}
+
+console.log(`Search benchmark: ${queryCount} queries per catalog size`);
+console.table(sizes.map(run));
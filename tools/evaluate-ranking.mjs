@@ -0,0 +1,163 @@
+// Offline rank-quality evaluation for the AI engine.
+//
+//   node tools/evaluate-ranking.mjs                        evaluate the default config
+//   node tools/evaluate-ranking.mjs --config b.json        evaluate a config
+//   node tools/evaluate-ranking.mjs --config b.json --against a.json
+//                                                          diff b against a (default: built-in config)
+//   node tools/evaluate-ranking.mjs --k 3 --queries my-queries.json --fail-on-regression
+//
+// A config file is passed straight to new EnhancedContextualAI(config), e.g.
+// { "weights": { "semantic": 0.5 }, "minConfidence": 0.05 }, and may carry a
+// "rules" array to try merchandising rules before they ship.
+// Queries are { query, relevant: { productId: grade } } with grade 2 for the
+// product the user wants and 1 for a reasonable alternative. Every query runs
+// at a fixed time of day (--hour, default 12) so time boosts don't make runs
+// flaky. The functions below are exported for use from other scripts.
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { EnhancedContextualAI } from '../ai-engine.js';
+import { createDemoCatalog } from '../demo-catalog.js';
+
+export function precisionAtK(ranking, relevant, k) {
+    const hits = ranking.slice(0, k).filter(id => relevant[id] > 0).length;
+    return hits / k;
+}
+
+export function reciprocalRank(ranking, relevant) {
+    const index = ranking.findIndex(id => relevant[id] > 0);
+    return index === -1 ? 0 : 1 / (index + 1);
+}
+
+// Graded NDCG@k with the usual (2^grade - 1) / log2(rank + 1) gain
+export function ndcgAtK(ranking, relevant, k) {
+    const gain = grade => (2 ** grade - 1);
+    const dcg = grades => grades.reduce((sum, grade, i) => sum + gain(grade) / Math.log2(i + 2), 0);
+
+    const actual = dcg(ranking.slice(0, k).map(id => relevant[id] || 0));
+    const ideal = dcg(Object.values(relevant).sort((a, b) => b - a).slice(0, k));
+    return ideal === 0 ? 0 : actual / ideal;
+}
+
+export function evaluate(engine, catalog, queries, { k = 3, hour = 12 } = {}) {
+    const now = new Date(2024, 0, 1, hour);
+
+    const results = queries.map(({ query, relevant }) => {
+        const ranking = engine.analyzeContext(query, catalog, null, { now }).map(s => s.product.id);
+        return {
+            query,
+            ranking,
+            precision: precisionAtK(ranking, relevant, k),
+            mrr: reciprocalRank(ranking, relevant),
+            ndcg: ndcgAtK(ranking, relevant, k)
+        };
+    });
+
+    const mean = key => results.reduce((sum, result) => sum + result[key], 0) / (results.length || 1);
+    return {
+        k,
+        results,
+        summary: { precision: mean('precision'), mrr: mean('mrr'), ndcg: mean('ndcg') }
+    };
+}
+
+// Metric deltas plus the queries whose NDCG moved
+export function diffEvaluations(baseline, candidate, epsilon = 1e-9) {
+    const summary = {};
+    Object.keys(baseline.summary).forEach(metric => {
+        summary[metric] = {
+            baseline: baseline.summary[metric],
+            candidate: candidate.summary[metric],
+            delta: candidate.summary[metric] - baseline.summary[metric]
+        };
+    });
+
+    const changed = candidate.results
+        .map((result, i) => ({ query: result.query, before: baseline.results[i], after: result }))
+        .filter(({ before, after }) => Math.abs(after.ndcg - before.ndcg) > epsilon)
+        .map(({ query, before, after }) => ({
+            query,
+            ndcgDelta: after.ndcg - before.ndcg,
+            before: before.ranking.slice(0, baseline.k),
+            after: after.ranking.slice(0, candidate.k)
+        }));
+
+    return { summary, changed };
+}
+
+function readJson(path) {
+    return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i].replace(/^--/, '');
+        if (flag === 'fail-on-regression') {
+            args.failOnRegression = true;
+        } else {
+            args[flag] = argv[++i];
+        }
+    }
+    return args;
+}
+
+const format = value => value.toFixed(3);
+const signed = value => `${value >= 0 ? '+' : ''}${value.toFixed(3)}`;
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const k = Number(args.k || 3);
+    const hour = Number(args.hour ?? 12);
+    const queriesPath = args.queries || fileURLToPath(new URL('./ranking-queries.json', import.meta.url));
+    const { queries } = readJson(queriesPath);
+    const catalog = createDemoCatalog();
+
+    const candidateConfig = args.config ? readJson(args.config) : {};
+    const candidate = evaluate(new EnhancedContextualAI(candidateConfig), catalog, queries, { k, hour });
+
+    if (!args.config && !args.against) {
+        console.log(`Ranking quality over ${queries.length} queries (k=${k})`);
+        console.table(candidate.results.map(r => ({
+            query: r.query,
+            top: r.ranking.slice(0, k).join(', '),
+            [`P@${k}`]: format(r.precision),
+            RR: format(r.mrr),
+            [`NDCG@${k}`]: format(r.ndcg)
+        })));
+        console.log(`P@${k} ${format(candidate.summary.precision)}  MRR ${format(candidate.summary.mrr)}  NDCG@${k} ${format(candidate.summary.ndcg)}`);
+        return;
+    }
+
+    const baselineConfig = args.against ? readJson(args.against) : {};
+    const baseline = evaluate(new EnhancedContextualAI(baselineConfig), catalog, queries, { k, hour });
+    const diff = diffEvaluations(baseline, candidate);
+
+    console.log(`Comparing ${args.config || 'default config'} against ${args.against || 'default config'} (k=${k})`);
+    console.table(Object.fromEntries(Object.entries(diff.summary).map(([metric, values]) => [metric, {
+        baseline: format(values.baseline),
+        candidate: format(values.candidate),
+        delta: signed(values.delta)
+    }])));
+
+    if (diff.changed.length) {
+        console.log('Queries whose NDCG changed:');
+        console.table(diff.changed.map(change => ({
+            query: change.query,
+            'NDCG delta': signed(change.ndcgDelta),
+            before: change.before.join(', '),
+            after: change.after.join(', ')
+        })));
+    } else {
+        console.log('No per-query changes.');
+    }
+
+    if (args.failOnRegression && diff.summary.ndcg.delta < 0) {
+        console.error(`NDCG@${k} regressed by ${format(-diff.summary.ndcg.delta)}`);
+        process.exitCode = 1;
+    }
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+    main();
+}
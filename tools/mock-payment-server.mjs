@@ -0,0 +1,80 @@
+// Local payment gateway for trying every checkout outcome end to end.
+//
+//   node tools/mock-payment-server.mjs [port]        (default 4242)
+//
+// then open the app with ?gateway=http://localhost:4242 (the app only accepts
+// localhost gateways). It serves the API HttpGatewayAdapter expects, backed
+// by MockGatewayAdapter, so the same test cards apply:
+//
+//   4242 4242 4242 4242   succeeds
+//   4000 0025 0000 3155   asks for 3-D Secure
+//   4000 0000 0000 0002   declined
+//   4000 0000 0000 9995   insufficient funds
+//   4000 0000 0000 0069   expired card
+//   4000 0000 0000 0127   incorrect CVC
+//   4000 0000 0000 0259   never answers (the app times out first)
+//
+// Requests are logged by route and status only; card details never are.
+
+import { createServer } from 'node:http';
+import { MockGatewayAdapter, PaymentError } from '../payments.js';
+
+const port = Number(process.argv[2] || 4242);
+// Longer than HttpGatewayAdapter's 10s, so the timeout card times out client-side
+const gateway = new MockGatewayAdapter({ latencyMs: 300, timeoutMs: 15000 });
+
+const ROUTES = [
+    [/^\/payment_methods$/, (body) => gateway.createPaymentMethod(body)],
+    [/^\/payment_intents$/, (body) => gateway.createIntent(body)],
+    [/^\/payment_intents\/([^/]+)\/confirm$/, (body, id) => gateway.confirmIntent(id, body)],
+    [/^\/payment_intents\/([^/]+)\/authenticate$/, (body, id) => gateway.authenticateIntent(id, body)],
+    [/^\/payment_intents\/([^/]+)\/cancel$/, (body, id) => gateway.cancelIntent(id)]
+];
+
+async function readBody(request) {
+    let raw = '';
+    for await (const chunk of request) raw += chunk;
+    return raw ? JSON.parse(raw) : {};
+}
+
+function send(response, status, data) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    });
+    response.end(data === undefined ? '' : JSON.stringify(data));
+}
+
+const server = createServer(async (request, response) => {
+    if (request.method === 'OPTIONS') {
+        send(response, 204);
+        return;
+    }
+
+    const path = new URL(request.url, 'http://localhost').pathname;
+    const route = ROUTES.find(([pattern]) => pattern.test(path));
+    if (!route || request.method !== 'POST') {
+        send(response, 404, { error: { code: 'invalid_request', message: `No route ${request.method} ${path}` } });
+        return;
+    }
+
+    let status = 200;
+    try {
+        const body = await readBody(request);
+        const [, ...params] = path.match(route[0]);
+        send(response, status, await route[1](body, ...params.map(decodeURIComponent)));
+    } catch (error) {
+        const known = error instanceof PaymentError;
+        status = !known ? 500 : error.code === 'timeout' ? 504 : 400;
+        if (!response.writableEnded) {
+            send(response, status, { error: { code: known ? error.code : 'invalid_request', message: error.message } });
+        }
+    }
+    console.log(`${request.method} ${path} ${status}`);
+});
+
+server.listen(port, () => {
+    console.log(`Mock payment gateway on http://localhost:${port}`);
+});